@@ -1,5 +1,33 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Store = require('../models/Store');
+const StoreMember = require('../models/StoreMember');
+const { can, findMembership } = require('../services/policy');
+
+// Resolve the active user an access token belongs to (null for unknown or
+// inactive users and for revoked or expired sessions). The session id is
+// kept in user.$locals.sessionId.
+// Throws the jsonwebtoken errors for invalid or expired tokens.
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.userId || !decoded.sessionId) {
+    return null;
+  }
+
+  const [user, session] = await Promise.all([
+    User.findById(decoded.userId).select('-otp'),
+    Session.findById(decoded.sessionId)
+  ]);
+
+  if (!user || !user.isActive || !session || !session.isActive() || !session.user.equals(user._id)) {
+    return null;
+  }
+
+  user.$locals.sessionId = session._id;
+  return user;
+};
 
 // Middleware to verify JWT token
 const authenticateToken = async (req, res, next) => {
@@ -11,14 +39,14 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Access token required' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select('-otp');
+    const user = await getUserFromToken(token);
     
-    if (!user || !user.isActive) {
+    if (!user) {
       return res.status(401).json({ message: 'Invalid or inactive user' });
     }
 
     req.user = user;
+    req.sessionId = user.$locals.sessionId;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -52,40 +80,130 @@ const requireVerified = (req, res, next) => {
   next();
 };
 
-// Middleware to check store ownership
-const requireStoreOwnership = async (req, res, next) => {
-  try {
-    const Store = require('../models/Store');
-    const store = await Store.findOne({ owner: req.user._id });
-    
-    if (!store) {
-      return res.status(403).json({ 
-        message: 'Store not found or access denied' 
-      });
+// Middleware to resolve the store a store-side request acts on (from the
+// X-Store-Id header; users of a single store may omit it) and check the
+// policy allows the action there. For routes without a store in the path.
+const requireStoreAccess = (action) => {
+  return async (req, res, next) => {
+    try {
+      const storeId = req.headers['x-store-id'];
+
+      let membership;
+      if (storeId) {
+        if (!mongoose.isValidObjectId(storeId)) {
+          return res.status(400).json({ message: 'Invalid store id' });
+        }
+        membership = await StoreMember.findOne({ store: storeId, user: req.user._id });
+      } else {
+        const memberships = await StoreMember.find({ user: req.user._id }).limit(2);
+        if (memberships.length > 1) {
+          return res.status(400).json({
+            message: 'Select a store with the X-Store-Id header',
+            reason: 'store_required'
+          });
+        }
+        membership = memberships[0];
+      }
+
+      const store = membership && await Store.findById(membership.store);
+      if (!store) {
+        return res.status(403).json({ 
+          message: 'Store not found or access denied' 
+        });
+      }
+
+      if (!(await can(req.user, action, store, membership))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      req.store = store;
+      req.storeMember = membership;
+      next();
+    } catch (error) {
+      return res.status(500).json({ message: 'Store verification error' });
     }
-    
-    req.store = store;
-    next();
-  } catch (error) {
-    return res.status(500).json({ message: 'Store verification error' });
-  }
+  };
 };
 
-// Generate JWT token
-const generateToken = (userId) => {
+// Middleware to load the resource a route acts on (see loaders in
+// services/policy) and check the policy allows the action on it. The resource
+// is put on the request under the loader's name, along with req.storeMember
+// when the user works at the resource's store.
+const authorize = (action, loader) => {
+  return async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.id)) {
+        return res.status(400).json({ message: 'Invalid id' });
+      }
+
+      const resource = await loader.load(req);
+      if (!resource) {
+        const name = loader.name.charAt(0).toUpperCase() + loader.name.slice(1);
+        return res.status(404).json({ message: `${name} not found` });
+      }
+
+      const membership = await findMembership(req.user, resource);
+      if (!(await can(req.user, action, resource, membership))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      req[loader.name] = resource;
+      req.storeMember = membership;
+      next();
+    } catch (error) {
+      console.error('Authorize error:', error);
+      return res.status(500).json({ message: 'Authorization error' });
+    }
+  };
+};
+
+// Generate a short-lived access token for a session; clients renew it with
+// the session's refresh token
+const generateToken = (userId, sessionId) => {
+  return jwt.sign(
+    { userId, sessionId: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRE || '15m' }
+  );
+};
+
+// Generate a short-lived token that grants read access to one order's invoice
+const generateInvoiceToken = (orderId) => {
   return jwt.sign(
-    { userId },
+    { orderId: orderId.toString(), purpose: 'invoice' },
     process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRE || '7d' }
+    { expiresIn: '24h' }
   );
 };
 
+// Middleware to allow invoice access by shared link token or by normal login
+const authenticateInvoiceAccess = (req, res, next) => {
+  if (!req.query.token) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+    if (decoded.purpose !== 'invoice' || decoded.orderId !== req.params.id) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.invoiceLink = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired invoice link' });
+  }
+};
+
 module.exports = {
+  getUserFromToken,
   authenticateToken,
   requireUserType,
   requireVerified,
-  requireStoreOwnership,
-  generateToken
+  requireStoreAccess,
+  authorize,
+  generateToken,
+  generateInvoiceToken,
+  authenticateInvoiceAccess
 };
 
 
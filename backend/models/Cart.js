@@ -29,6 +29,11 @@ const cartSchema = new mongoose.Schema({
     required: true
   },
   items: [cartItemSchema],
+  couponCode: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
   lastUpdated: {
     type: Date,
     default: Date.now
@@ -88,12 +93,52 @@ cartSchema.methods.updateItemQuantity = function(productId, quantity) {
   }
 };
 
+// Method to list orderable items whose cart price differs from the live
+// selling price (expects items.product to be populated)
+cartSchema.methods.getPriceChanges = function() {
+  return this.items
+    .filter(item => item.product && item.product.status === 'active' &&
+      item.price !== item.product.pricing.sellingPrice)
+    .map(item => ({
+      product: item.product._id,
+      name: item.product.name,
+      oldPrice: item.price,
+      newPrice: item.product.pricing.sellingPrice
+    }));
+};
+
+// Method to update the price of an item in cart
+cartSchema.methods.repriceItem = function(productId, price) {
+  const item = this.items.find(item => {
+    const id = item.product._id || item.product;
+    return id.toString() === productId.toString();
+  });
+
+  if (item) {
+    item.price = price;
+    this.lastUpdated = new Date();
+  }
+};
+
 // Method to clear cart
 cartSchema.methods.clearCart = function() {
   this.items = [];
+  this.couponCode = undefined;
   this.lastUpdated = new Date();
 };
 
+// Method to get subtotals of orderable items grouped by store
+// (expects items.product to be populated)
+cartSchema.methods.getStoreSubtotals = function() {
+  return this.items.reduce((subtotals, item) => {
+    if (item.product && item.product.status === 'active') {
+      const storeId = item.product.store.toString();
+      subtotals[storeId] = (subtotals[storeId] || 0) + item.price * item.quantity;
+    }
+    return subtotals;
+  }, {});
+};
+
 // Method to get cart summary
 cartSchema.methods.getSummary = function() {
   return {
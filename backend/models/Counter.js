@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (invoice numbers, order numbers, ...)
+const counterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to atomically take the next value of a sequence.
+// Two upserts creating the same counter can race on the unique key; the
+// loser retries once the counter exists. Inside a transaction the error has
+// already aborted it, so it is left to the caller to retry the transaction.
+counterSchema.statics.next = async function(key, session = null) {
+  try {
+    const counter = await this.findOneAndUpdate(
+      { key },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true, session }
+    );
+    return counter.seq;
+  } catch (error) {
+    if (error.code !== 11000 || session) {
+      throw error;
+    }
+    const counter = await this.findOneAndUpdate({ key }, { $inc: { seq: 1 } }, { new: true });
+    return counter.seq;
+  }
+};
+
+// Static method to check whether an error is a lost counter creation race
+counterSchema.statics.isCreateConflict = function(error) {
+  return error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.key);
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discount: {
+    type: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    maxAmount: {
+      type: Number,
+      min: 0 // cap for percentage discounts
+    }
+  },
+  // Store-scoped coupons only apply to that store's items; null means platform-wide
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    default: null
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validity: {
+    from: {
+      type: Date,
+      default: Date.now
+    },
+    until: Date
+  },
+  limits: {
+    total: {
+      type: Number,
+      min: 1 // unlimited when not set
+    },
+    perUser: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ store: 1, isActive: 1 });
+
+// Method to check whether the coupon can be used at a given time.
+// Returns null when usable, otherwise a reason code.
+couponSchema.methods.getAvailabilityError = function(now = new Date()) {
+  if (!this.isActive) return 'coupon_inactive';
+  if (this.validity.from && now < this.validity.from) return 'coupon_not_started';
+  if (this.validity.until && now > this.validity.until) return 'coupon_expired';
+  if (this.limits.total && this.usedCount >= this.limits.total) return 'usage_limit_reached';
+  return null;
+};
+
+// Method to calculate the discount for an eligible amount
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discount.type === 'percentage'
+    ? amount * this.discount.value / 100
+    : this.discount.value;
+
+  if (this.discount.type === 'percentage' && this.discount.maxAmount) {
+    discount = Math.min(discount, this.discount.maxAmount);
+  }
+
+  return Math.round(Math.min(discount, amount) * 100) / 100;
+};
+
+// Static method to find a coupon by its code
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: String(code).trim().toUpperCase() });
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
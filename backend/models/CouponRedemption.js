@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which of the user's allowed uses this is (1..limits.perUser); unique, so
+  // concurrent checkouts cannot take the same use twice
+  sequence: Number,
+  orders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Index for per-user usage lookups
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index(
+  { coupon: 1, user: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+// Index for finding the redemption of a cancelled order
+couponRedemptionSchema.index({ orders: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
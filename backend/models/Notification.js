@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const deliverySchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'error'],
+    required: true
+  },
+  ticketId: String,
+  error: String
+}, { _id: false });
+
+// Outbox of push notifications. Every message is stored before it is sent so
+// failed deliveries can be retried and users can see their notification history.
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  template: {
+    type: String,
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['orders', 'inventory', 'refunds'],
+    required: true
+  },
+  title: {
+    type: String,
+    required: true
+  },
+  body: {
+    type: String,
+    required: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  // While 'sending', the claim of the process sending it; an expired lease
+  // (e.g. the process died) lets the outbox pick the notification up again
+  leaseExpiresAt: Date,
+  skipReason: {
+    type: String,
+    enum: ['disabled', 'no_devices']
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: String,
+  deliveries: [deliverySchema],
+  sentAt: Date,
+  readAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Counter = require('./Counter');
+const orderEvents = require('../services/orderEvents');
+const { getLocalParts } = require('../services/timezone');
+
+// Allowed status transitions and the roles that may trigger each of them
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['store_owner'],
+    cancelled: ['customer', 'store_owner', 'system']
+  },
+  confirmed: {
+    preparing: ['store_owner'],
+    cancelled: ['customer', 'store_owner', 'system']
+  },
+  preparing: {
+    ready: ['store_owner'],
+    cancelled: ['customer', 'store_owner', 'system']
+  },
+  ready: {
+    out_for_delivery: ['store_owner', 'delivery_partner'],
+    delivered: ['store_owner'],
+    cancelled: ['customer', 'store_owner', 'system']
+  },
+  out_for_delivery: {
+    delivered: ['store_owner', 'delivery_partner'],
+    cancelled: ['customer', 'store_owner', 'system']
+  },
+  delivered: {
+    refunded: ['system']
+  },
+  cancelled: {
+    refunded: ['system']
+  },
+  refunded: {}
+};
+
+const ACTOR_ROLES = ['customer', 'store_owner', 'delivery_partner', 'system'];
+
+// Orders a delivery partner may still claim
+const ASSIGNABLE_STATUSES = ['confirmed', 'preparing', 'ready'];
+
+// Handover code rate limiting
+const MAX_HANDOVER_ATTEMPTS = 5;
+const HANDOVER_LOCK_MINUTES = 15;
 
 const orderItemSchema = new mongoose.Schema({
   product: {
@@ -26,6 +71,24 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Quantity held by refunds that are requested, in progress or paid out;
+  // claimed atomically so concurrent requests cannot exceed the quantity
+  refundClaimedQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tax: {
+    hsnCode: String,
+    rate: Number,
+    taxableValue: Number,
+    amount: Number
   }
 });
 
@@ -35,6 +98,11 @@ const orderSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  storeOrderNumber: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -62,8 +130,24 @@ const orderSchema = new mongoose.Schema({
       enum: ['pending', 'paid', 'failed', 'refunded'],
       default: 'pending'
     },
+    gateway: String,
+    intentId: String,
+    // Intents replaced by a newer one; a late payment on one of them still
+    // settles the order
+    previousIntents: [{
+      _id: false,
+      gateway: String,
+      intentId: String
+    }],
     transactionId: String,
-    paidAt: Date
+    paidAt: Date,
+    failureReason: String,
+    processedEvents: [String],
+    refundedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
   },
   delivery: {
     type: {
@@ -89,9 +173,54 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // How the fee was priced (see services/deliveryFee)
+    feeBreakdown: {
+      base: Number,
+      distance: Number,
+      surge: Number,
+      freeDeliveryApplied: Boolean,
+      capped: Boolean
+    },
+    distance: Number,
+    // Booked time slot, if the customer scheduled the order
+    slot: {
+      start: Date,
+      end: Date,
+      released: Boolean
+    },
     estimatedTime: Date,
     deliveredAt: Date,
-    notes: String
+    notes: String,
+    // Delivery partner handling the order
+    partner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    assignedAt: Date,
+    pickedUpAt: Date,
+    // Partners who turned the order down are not offered it again
+    rejectedBy: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Handover code the customer gives back on delivery or pickup
+    otp: {
+      type: String,
+      select: false
+    },
+    otpAttempts: {
+      type: Number,
+      default: 0
+    },
+    otpLockedUntil: Date,
+    pickupProof: {
+      photoUrl: String
+    },
+    proof: {
+      otpVerified: Boolean,
+      photoUrl: String,
+      recordedAt: Date
+    }
   },
   pricing: {
     subtotal: {
@@ -120,13 +249,49 @@ const orderSchema = new mongoose.Schema({
       min: 0
     }
   },
+  taxBreakdown: {
+    scheme: {
+      type: String,
+      enum: ['regular', 'composition', 'unregistered']
+    },
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number
+  },
+  invoice: {
+    number: String,
+    issuedAt: Date
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String
+  },
   timeline: [{
     status: String,
     timestamp: {
       type: Date,
       default: Date.now
     },
-    note: String
+    note: String,
+    actor: {
+      role: {
+        type: String,
+        enum: ACTOR_ROLES
+      },
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }
   }],
   notes: {
     customer: String,
@@ -139,7 +304,20 @@ const orderSchema = new mongoose.Schema({
       max: 5
     },
     review: String,
-    ratedAt: Date
+    ratedAt: Date,
+    // Written reviews wait for an admin; rejected ones keep their score but not their text
+    moderation: {
+      status: {
+        type: String,
+        enum: ['pending', 'approved', 'rejected']
+      },
+      reason: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      reviewedAt: Date
+    }
   }
 }, {
   timestamps: true
@@ -147,39 +325,196 @@ const orderSchema = new mongoose.Schema({
 
 // Indexes
 orderSchema.index({ orderNumber: 1 });
+orderSchema.index({ store: 1, storeOrderNumber: 1 });
 orderSchema.index({ customer: 1 });
 orderSchema.index({ store: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'payment.intentId': 1 });
+orderSchema.index({ 'delivery.partner': 1, status: 1 });
+orderSchema.index({ 'rating.moderation.status': 1 });
 
 // Virtual for order age
 orderSchema.virtual('age').get(function() {
   return Date.now() - this.createdAt.getTime();
 });
 
-// Method to generate order number
-orderSchema.statics.generateOrderNumber = function() {
-  const timestamp = Date.now().toString();
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `MLM${timestamp.slice(-6)}${random}`;
+// Method to generate order numbers from atomic counters: a platform-wide
+// number (MLM000001234) and a per-store one (STORECODE-000123). Given the
+// order's session, the numbers are only taken if its transaction commits.
+orderSchema.statics.generateOrderNumbers = async function(storeId, session = null) {
+  const Store = mongoose.model('Store');
+  const store = await Store.findById(storeId);
+  const storeCode = await store.ensureCode();
+
+  // One operation at a time: a transaction cannot run them in parallel
+  const platformSeq = await Counter.next('order', session);
+  const storeSeq = await Counter.next(`order:${storeId}`, session);
+
+  return {
+    orderNumber: `MLM${String(platformSeq).padStart(9, '0')}`,
+    storeOrderNumber: `${storeCode}-${String(storeSeq).padStart(6, '0')}`
+  };
+};
+
+// Method to list the statuses a role may move this order to
+orderSchema.methods.getAllowedTransitions = function(role) {
+  const edges = STATUS_TRANSITIONS[this.status] || {};
+
+  return Object.keys(edges).filter(status => {
+    // Pickup orders are handed over at the counter, deliveries go out first
+    if (this.status === 'ready') {
+      if (status === 'out_for_delivery' && this.delivery.type !== 'delivery') return false;
+      if (status === 'delivered' && this.delivery.type !== 'pickup') return false;
+    }
+    return edges[status].includes(role);
+  });
+};
+
+// Method to check whether a role may move this order to a status
+orderSchema.methods.canTransitionTo = function(newStatus, role) {
+  return this.getAllowedTransitions(role).includes(newStatus);
 };
 
 // Method to update status
-orderSchema.methods.updateStatus = function(newStatus, note = '') {
+// actor: { role: 'customer' | 'store_owner' | 'delivery_partner' | 'system', user: ObjectId }
+orderSchema.methods.updateStatus = function(newStatus, note = '', actor = { role: 'system' }) {
+  if (!this.canTransitionTo(newStatus, actor.role)) {
+    const error = new Error(`Cannot change order status from ${this.status} to ${newStatus}`);
+    error.code = 'INVALID_TRANSITION';
+    error.allowedStatuses = this.getAllowedTransitions(actor.role);
+    throw error;
+  }
+
+  // Handing an order over needs the customer's code
+  if (newStatus === 'delivered' && !this.$locals.handoverVerified) {
+    const error = new Error('Handover code required to mark the order as delivered');
+    error.code = 'HANDOVER_CODE_REQUIRED';
+    throw error;
+  }
+
   this.status = newStatus;
   this.timeline.push({
     status: newStatus,
-    note: note
+    note: note,
+    actor: actor
   });
   
+  // Issue the handover code once the order is about to reach the customer
+  if (newStatus === 'out_for_delivery' || (newStatus === 'ready' && this.delivery.type === 'pickup')) {
+    this.generateDeliveryOtp();
+  }
+
   // Set specific timestamps
   if (newStatus === 'delivered') {
     this.delivery.deliveredAt = new Date();
-  } else if (newStatus === 'paid') {
-    this.payment.paidAt = new Date();
+    this.delivery.otp = undefined;
   }
 };
 
+// Filter for delivery orders a partner may still claim
+orderSchema.statics.assignableFilter = function(partnerId) {
+  return {
+    status: { $in: ASSIGNABLE_STATUSES },
+    'delivery.type': 'delivery',
+    'delivery.partner': null,
+    'delivery.rejectedBy': { $ne: partnerId }
+  };
+};
+
+// Method to check whether the order is assigned to a delivery partner
+orderSchema.methods.isAssignedTo = function(partnerId) {
+  return Boolean(this.delivery.partner) && this.delivery.partner.toString() === partnerId.toString();
+};
+
+// Method to generate the 4-digit code the customer hands over on delivery
+orderSchema.methods.generateDeliveryOtp = function() {
+  const otp = crypto.randomInt(1000, 10000).toString();
+  this.delivery.otp = otp;
+  this.delivery.otpAttempts = 0;
+  this.delivery.otpLockedUntil = undefined;
+  return otp;
+};
+
+// Write handover attempt fields straight to the order, and mirror them on this
+// document without marking them modified, so a later save() cannot overwrite
+// attempts counted by concurrent requests
+orderSchema.methods.setHandoverState = async function(filter, update) {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, ...filter },
+    update,
+    { new: true, projection: { 'delivery.otpAttempts': 1, 'delivery.otpLockedUntil': 1 } }
+  );
+  if (updated) {
+    this.delivery.otpAttempts = updated.delivery.otpAttempts;
+    this.delivery.otpLockedUntil = updated.delivery.otpLockedUntil;
+    this.unmarkModified('delivery.otpAttempts');
+    this.unmarkModified('delivery.otpLockedUntil');
+  }
+  return updated;
+};
+
+// Method to check the handover code given back by the customer. Needs the order
+// loaded with '+delivery.otp'; every outcome is written to the timeline, so the
+// order has to be saved afterwards even when the check fails. Each attempt is
+// counted atomically before the code is compared, so parallel guesses cannot
+// get past the limit.
+// Returns { ok: true } or { ok: false, reason: 'invalid' | 'locked' | 'code_issued', attemptsLeft, retryAt }
+orderSchema.methods.verifyHandoverCode = async function(code, actor) {
+  const now = new Date();
+
+  // Orders that went out before handover codes existed get one now
+  if (!this.delivery.otp && !(this.delivery.otpLockedUntil > now)) {
+    this.generateDeliveryOtp();
+    this.timeline.push({ status: this.status, note: 'Handover code issued to customer', actor });
+    return { ok: false, reason: 'code_issued' };
+  }
+
+  const claimed = await this.setHandoverState(
+    {
+      'delivery.otpAttempts': { $not: { $gte: MAX_HANDOVER_ATTEMPTS } },
+      'delivery.otpLockedUntil': { $not: { $gt: now } }
+    },
+    { $inc: { 'delivery.otpAttempts': 1 } }
+  );
+  if (!claimed) {
+    const current = await this.constructor.findById(this._id).select('delivery.otpLockedUntil');
+    return { ok: false, reason: 'locked', retryAt: current && current.delivery.otpLockedUntil };
+  }
+
+  if (String(code) === this.delivery.otp) {
+    await this.setHandoverState({}, { $set: { 'delivery.otpAttempts': 0 } });
+    this.$locals.handoverVerified = true;
+    this.timeline.push({ status: this.status, note: 'Handover code verified', actor });
+    return { ok: true };
+  }
+
+  const attempt = this.delivery.otpAttempts;
+  const attemptsLeft = MAX_HANDOVER_ATTEMPTS - attempt;
+
+  if (attemptsLeft <= 0) {
+    await this.setHandoverState({}, {
+      $set: {
+        'delivery.otpAttempts': 0,
+        'delivery.otpLockedUntil': new Date(now.getTime() + HANDOVER_LOCK_MINUTES * 60 * 1000)
+      }
+    });
+    this.timeline.push({
+      status: this.status,
+      note: `Handover code locked for ${HANDOVER_LOCK_MINUTES} minutes after ${MAX_HANDOVER_ATTEMPTS} incorrect attempts`,
+      actor
+    });
+    return { ok: false, reason: 'locked', retryAt: this.delivery.otpLockedUntil };
+  }
+
+  this.timeline.push({
+    status: this.status,
+    note: `Incorrect handover code (attempt ${attempt} of ${MAX_HANDOVER_ATTEMPTS})`,
+    actor
+  });
+  return { ok: false, reason: 'invalid', attemptsLeft };
+};
+
 // Method to calculate total
 orderSchema.methods.calculateTotal = function() {
   this.pricing.subtotal = this.items.reduce((total, item) => total + item.total, 0);
@@ -187,26 +522,110 @@ orderSchema.methods.calculateTotal = function() {
   return this.pricing.total;
 };
 
+// Method to check whether the order was ever handed over (later refunds
+// move it on to 'refunded', so the current status is not enough)
+orderSchema.methods.wasDelivered = function() {
+  return Boolean(this.delivery.deliveredAt) || this.timeline.some(entry => entry.status === 'delivered');
+};
+
+// Method to check whether money was actually taken: online payments once the
+// gateway confirmed them, cash once the order was handed over
+orderSchema.methods.isPaymentCaptured = function() {
+  if (this.payment.method === 'online') {
+    return ['paid', 'refunded'].includes(this.payment.status);
+  }
+  return this.wasDelivered();
+};
+
+// Method to get the amount that can still be refunded
+orderSchema.methods.getRefundableAmount = function() {
+  return Math.max(0, this.pricing.total - (this.payment.refundedAmount || 0));
+};
+
+// Method to assign the store's next invoice number (once per order).
+// Numbers restart every Indian financial year (April to March). The number is
+// taken and stored in one transaction that only goes through while the order
+// has none, so concurrent requests never leave gaps in the sequence.
+orderSchema.methods.assignInvoiceNumber = async function() {
+  if (this.invoice && this.invoice.number) {
+    return this.invoice.number;
+  }
+
+  // The year turns over at midnight in India, whatever the server's timezone
+  const now = new Date();
+  const [year, month] = getLocalParts(now).date.split('-').map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  const financialYear = `${startYear}-${String(startYear + 1).slice(-2)}`;
+  const storeId = this.store._id || this.store;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const seq = await Counter.next(`invoice:${storeId}:${financialYear}`, session);
+      const updated = await this.constructor.findOneAndUpdate(
+        { _id: this._id, 'invoice.number': null },
+        {
+          $set: {
+            invoice: {
+              number: `${financialYear}/${String(seq).padStart(5, '0')}`,
+              issuedAt: now
+            }
+          }
+        },
+        { session }
+      );
+
+      // Another request issued the invoice meanwhile; give the number back
+      if (!updated) {
+        await session.abortTransaction();
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  this.invoice = (await this.constructor.findById(this._id).select('invoice')).invoice;
+  return this.invoice.number;
+};
+
 // Method to add rating
 orderSchema.methods.addRating = function(rating, review = '') {
   this.rating = {
     value: rating,
     review: review,
-    ratedAt: new Date()
+    ratedAt: new Date(),
+    ...(review && { moderation: { status: 'pending' } })
   };
 };
 
-// Pre-save middleware
-orderSchema.pre('save', function(next) {
+// Method to leave a written review that is not published (waiting for an
+// admin or rejected) out of a response; reviews from before moderation have
+// no status and stay visible
+orderSchema.methods.hideUnpublishedReview = function() {
+  const moderation = this.rating && this.rating.moderation;
+  if (moderation && ['pending', 'rejected'].includes(moderation.status)) {
+    this.rating.review = undefined;
+  }
+};
+
+// Assign order numbers before validation, since orderNumber is required
+orderSchema.pre('validate', async function() {
   if (this.isNew && !this.orderNumber) {
-    this.orderNumber = this.constructor.generateOrderNumber();
+    Object.assign(this, await this.constructor.generateOrderNumbers(this.store, this.$session()));
   }
-  
+});
+
+// Pre-save middleware
+orderSchema.pre('save', function(next) {
   // Initialize timeline
   if (this.isNew) {
     this.timeline = [{
       status: 'pending',
-      note: 'Order placed'
+      note: 'Order placed',
+      actor: {
+        role: 'customer',
+        user: this.customer
+      }
     }];
   }
   
@@ -216,6 +635,35 @@ orderSchema.pre('save', function(next) {
   next();
 });
 
+// Remember what changed so it can be published once the save succeeded
+orderSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  this.$locals.statusChanged = !this.isNew && this.isModified('status');
+  this.$locals.newTimelineEntries = this.isNew ? [] : this.timeline.filter(entry => entry.isNew);
+  next();
+});
+
+// Publish status changes and new timeline entries of existing orders
+// (new orders are announced by checkout once their transaction commits)
+orderSchema.post('save', function(order) {
+  if (order.$locals.wasNew) {
+    return;
+  }
+
+  // The entry recorded by updateStatus travels with the status change event
+  const statusEntry = order.$locals.statusChanged
+    ? order.timeline[order.timeline.length - 1]
+    : null;
+
+  order.$locals.newTimelineEntries
+    .filter(entry => entry !== statusEntry)
+    .forEach(entry => orderEvents.emit('timeline', order, entry));
+
+  if (statusEntry) {
+    orderEvents.emit('status_changed', order, statusEntry);
+  }
+});
+
 module.exports = mongoose.model('Order', orderSchema);
 
 
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { GST_RATES } = require('../services/tax');
 
 const productSchema = new mongoose.Schema({
   store: {
@@ -65,6 +66,22 @@ const productSchema = new mongoose.Schema({
       enum: ['kg', 'g', 'l', 'ml', 'piece', 'pack', 'dozen', 'box']
     }
   },
+  tax: {
+    hsnCode: {
+      type: String,
+      trim: true,
+      match: /^\d{4,8}$/
+    },
+    gstRate: {
+      type: Number,
+      enum: GST_RATES,
+      default: 0
+    },
+    priceIncludesTax: {
+      type: Boolean,
+      default: true
+    }
+  },
   inventory: {
     stock: {
       type: Number,
@@ -125,6 +142,20 @@ const productSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Listings stay visible while pending; a rejected product is taken down
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reason: String,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date
+  },
   seo: {
     metaTitle: String,
     metaDescription: String,
@@ -152,6 +183,9 @@ productSchema.index({
 // Compound index for store and status
 productSchema.index({ store: 1, status: 1 });
 
+// Index for the moderation queue
+productSchema.index({ 'moderation.status': 1, updatedAt: 1 });
+
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
   if (this.pricing.basePrice > 0) {
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const orderEvents = require('../services/orderEvents');
+
+const refundItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  name: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const refundSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['full', 'partial'],
+    required: true
+  },
+  items: [refundItemSchema],
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['requested', 'approved', 'rejected', 'completed', 'failed'],
+    default: 'requested'
+  },
+  requestedBy: {
+    role: {
+      type: String,
+      enum: ['customer', 'store_owner', 'system']
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    reviewedAt: Date
+  },
+  gateway: {
+    name: String,
+    refundId: String,
+    failureReason: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+refundSchema.index({ order: 1 });
+refundSchema.index({ customer: 1, createdAt: -1 });
+refundSchema.index({ store: 1, status: 1 });
+
+// Refunds a store may still decide on; failed payouts can be approved again
+// to retry them
+const REVIEWABLE_STATUSES = ['requested', 'failed'];
+
+// Method to record the owner's decision. The refund is claimed in a single
+// conditional update, so of two concurrent reviews only one goes through;
+// returns false for the other.
+refundSchema.methods.setReview = async function(decision, reviewerId, note = '') {
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: { $in: REVIEWABLE_STATUSES } },
+    {
+      $set: {
+        status: decision,
+        review: {
+          reviewedBy: reviewerId,
+          note: note,
+          reviewedAt: new Date()
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return false;
+  }
+
+  this.status = updated.status;
+  this.review = updated.review;
+  this.unmarkModified('status');
+  this.unmarkModified('review');
+  orderEvents.emit('refund_status', this);
+  return true;
+};
+
+// Publish refund status changes once they are stored
+refundSchema.pre('save', function(next) {
+  this.$locals.statusChanged = this.isNew || this.isModified('status');
+  next();
+});
+
+refundSchema.post('save', function(refund) {
+  if (refund.$locals.statusChanged) {
+    orderEvents.emit('refund_status', refund);
+  }
+});
+
+module.exports = mongoose.model('Refund', refundSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const accessEvents = require('../services/accessEvents');
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS || 30);
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the current one is kept
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.isValidObjectId(sessionId)) {
+    return null;
+  }
+  return sessionId;
+};
+
+// One logged-in device. Each refresh replaces the refresh token; presenting
+// an already replaced token means it leaked, so the session is revoked.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  device: {
+    name: String,
+    platform: String,
+    appVersion: String
+  },
+  ip: String,
+  userAgent: String,
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Moves forward on every refresh; idle sessions run out
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'revoked', 'reuse_detected', 'suspended']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Method to check whether the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to end the session
+sessionSchema.methods.revoke = function(reason = 'revoked') {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+};
+
+// Static method to open a session for a login; returns { session, refreshToken }
+sessionSchema.statics.start = async function(userId, { device, ip, userAgent } = {}) {
+  const session = new this({ user: userId, device, ip, userAgent, expiresAt: refreshExpiry() });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return { session, refreshToken };
+};
+
+// Static method to swap a refresh token for a new one.
+// Returns { session, refreshToken } or { error: 'invalid' | 'reuse_detected' }
+sessionSchema.statics.rotate = async function(refreshToken) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) {
+    return { error: 'invalid' };
+  }
+
+  const now = new Date();
+  const nextToken = newRefreshToken(sessionId);
+
+  // Only the current token rotates; concurrent refreshes cannot both win
+  const session = await this.findOneAndUpdate(
+    {
+      _id: sessionId,
+      refreshTokenHash: hashToken(refreshToken),
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      lastUsedAt: now,
+      expiresAt: refreshExpiry()
+    },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: nextToken };
+  }
+
+  // A live session with a different token: this one was already used
+  const existing = await this.findById(sessionId);
+  if (existing && existing.isActive()) {
+    existing.revoke('reuse_detected');
+    await existing.save();
+    return { error: 'reuse_detected' };
+  }
+
+  return { error: 'invalid' };
+};
+
+// Static method to end every session of a user, optionally but one
+sessionSchema.statics.revokeAllForUser = async function(userId, reason = 'revoked', exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  accessEvents.emit('user_sessions_revoked', userId, exceptSessionId);
+  return result;
+};
+
+// Publish revocations once they are stored
+sessionSchema.pre('save', function(next) {
+  this.$locals.revoked = !this.isNew && this.isModified('revokedAt') && Boolean(this.revokedAt);
+  next();
+});
+
+sessionSchema.post('save', function(session) {
+  if (session.$locals.revoked) {
+    accessEvents.emit('session_revoked', session._id);
+  }
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
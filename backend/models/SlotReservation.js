@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Number of orders booked into one store time slot
+const slotReservationSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  booked: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One counter per slot
+slotReservationSchema.index({ store: 1, start: 1 }, { unique: true });
+
+// Static method to take one place in a slot; false when the slot is full
+slotReservationSchema.statics.reserve = async function(storeId, start, capacity) {
+  try {
+    const reservation = await this.findOneAndUpdate(
+      { store: storeId, start, booked: { $lt: capacity } },
+      { $inc: { booked: 1 } },
+      { new: true, upsert: true }
+    );
+    return Boolean(reservation);
+  } catch (error) {
+    // The upsert collides with the existing, full slot
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Static method to give a place back, optionally inside a transaction
+slotReservationSchema.statics.release = async function(storeId, start, session = null) {
+  await this.updateOne(
+    { store: storeId, start, booked: { $gt: 0 } },
+    { $inc: { booked: -1 } },
+    { session }
+  );
+};
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -1,4 +1,55 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { DEFAULT_TIMEZONE, TIME_OF_DAY, isValidTimezone } = require('../services/timezone');
+const { getStoreHoursStatus } = require('../services/storeHours');
+
+const { KYC_DOCUMENT_TYPES, normalizeId, isValidGstin, isValidPan, getGstinPan } = require('../services/kyc');
+
+// Onboarding verification flow: owners submit (and resubmit after a
+// rejection), admins pick submissions up for review and decide
+const VERIFICATION_TRANSITIONS = {
+  draft: { submitted: ['store_owner'] },
+  submitted: { under_review: ['admin'] },
+  under_review: { approved: ['admin'], rejected: ['admin'] },
+  rejected: { submitted: ['store_owner'] },
+  approved: {}
+};
+
+// Business details can only change while the owner holds the application
+const EDITABLE_VERIFICATION_STATUSES = ['draft', 'rejected'];
+
+// Left out wherever stores are shown to the public: KYC data and the review
+// (documents, reviewer notes, history) stay with the store team and admins
+const PRIVATE_FIELDS = ['businessDetails', 'verification', 'stats.totalRevenue'];
+
+// Validator that only checks values being written, so stores saved before a
+// rule existed can still be updated without fixing the old value first.
+// Update validators only see written values and have no document.
+const onWrite = (check, message) => ({
+  validator: function(value, props) {
+    if (this && typeof this.isModified === 'function' && !this.isNew && !this.isModified(props.path)) {
+      return true;
+    }
+    return check(value);
+  },
+  propsParameter: true,
+  message
+});
+
+const isTimeOfDay = (value) => TIME_OF_DAY.test(value);
+
+// Hours for one weekday: either a single open/close pair or several intervals
+// (e.g. a lunch break). A close at or before the open time runs past midnight.
+const dayHours = {
+  open: { type: String, validate: onWrite(isTimeOfDay, 'Time must be HH:MM') },
+  close: { type: String, validate: onWrite(isTimeOfDay, 'Time must be HH:MM') },
+  isOpen: { type: Boolean, default: true },
+  intervals: [{
+    _id: false,
+    open: { type: String, required: true, match: TIME_OF_DAY },
+    close: { type: String, required: true, match: TIME_OF_DAY }
+  }]
+};
 
 const storeSchema = new mongoose.Schema({
   owner: {
@@ -11,6 +62,14 @@ const storeSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // Short unique code used in per-store order numbers
+  code: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true,
+    trim: true
+  },
   description: {
     type: String,
     trim: true
@@ -63,15 +122,23 @@ const storeSchema = new mongoose.Schema({
   businessDetails: {
     gstin: {
       type: String,
-      trim: true
+      trim: true,
+      uppercase: true,
+      validate: onWrite(isValidGstin, 'Invalid GSTIN')
     },
     pan: {
       type: String,
-      trim: true
+      trim: true,
+      uppercase: true,
+      validate: onWrite(isValidPan, 'Invalid PAN')
     },
     licenseNumber: {
       type: String,
       trim: true
+    },
+    compositionScheme: {
+      type: Boolean,
+      default: false
     }
   },
   images: {
@@ -98,6 +165,7 @@ const storeSchema = new mongoose.Schema({
       type: Number,
       default: 5 // in kilometers
     },
+    // Base delivery fee, extended by feeRules
     deliveryFee: {
       type: Number,
       default: 0
@@ -105,16 +173,117 @@ const storeSchema = new mongoose.Schema({
     minOrderAmount: {
       type: Number,
       default: 0
+    },
+    feeRules: {
+      // Per-km rates: each km up to upToKm is charged perKm, beyond the last
+      // band the last rate applies
+      distanceBands: [{
+        _id: false,
+        upToKm: {
+          type: Number,
+          required: true,
+          min: 0
+        },
+        perKm: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }],
+      // Orders worth at least this much are delivered free (0 = never)
+      freeDeliveryAbove: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Extra fee during busy hours; start > end wraps past midnight
+      surge: [{
+        _id: false,
+        days: [{
+          type: String,
+          enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+        }],
+        start: {
+          type: String,
+          required: true,
+          match: TIME_OF_DAY
+        },
+        end: {
+          type: String,
+          required: true,
+          match: TIME_OF_DAY
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0
+        }
+      }],
+      // Upper limit for the total fee (0 = no limit)
+      maxFee: {
+        type: Number,
+        default: 0,
+        min: 0
+      }
+    }
+  },
+  // IANA timezone the operating hours are given in
+  timezone: {
+    type: String,
+    default: DEFAULT_TIMEZONE,
+    validate: {
+      validator: isValidTimezone,
+      message: 'Invalid timezone'
     }
   },
   operatingHours: {
-    monday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    tuesday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    wednesday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    thursday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    friday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    saturday: { open: String, close: String, isOpen: { type: Boolean, default: true } },
-    sunday: { open: String, close: String, isOpen: { type: Boolean, default: true } }
+    monday: dayHours,
+    tuesday: dayHours,
+    wednesday: dayHours,
+    thursday: dayHours,
+    friday: dayHours,
+    saturday: dayHours,
+    sunday: dayHours
+  },
+  // Dates (YYYY-MM-DD, store timezone) the store stays closed
+  holidays: [{
+    date: {
+      type: String,
+      required: true,
+      match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    reason: String
+  }],
+  // Bookable time slots carved out of operatingHours
+  slotSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    durationMinutes: {
+      type: Number,
+      default: 60,
+      min: 15,
+      max: 480
+    },
+    // Orders accepted per slot
+    capacity: {
+      type: Number,
+      default: 10,
+      min: 1
+    },
+    // Minimum time between placing an order and its slot (also the ASAP estimate)
+    leadTimeMinutes: {
+      type: Number,
+      default: 30,
+      min: 0
+    },
+    daysAhead: {
+      type: Number,
+      default: 3,
+      min: 0,
+      max: 14
+    }
   },
   rating: {
     average: {
@@ -136,6 +305,72 @@ const storeSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Onboarding (KYC) review; isVerified is true once approved
+  verification: {
+    status: {
+      type: String,
+      enum: Object.keys(VERIFICATION_TRANSITIONS),
+      default: 'draft'
+    },
+    // Shown to the owner after a rejection
+    reason: String,
+    documents: [{
+      type: {
+        type: String,
+        enum: KYC_DOCUMENT_TYPES,
+        required: true
+      },
+      url: {
+        type: String,
+        required: true
+      },
+      publicId: String,
+      uploadedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    submittedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    // Internal notes for reviewers, not shown to the owner
+    reviewerNotes: [{
+      _id: false,
+      note: String,
+      by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Every status change, for audit
+    history: [{
+      _id: false,
+      from: String,
+      to: String,
+      note: String,
+      actor: {
+        role: {
+          type: String,
+          enum: ['store_owner', 'admin']
+        },
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        }
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   stats: {
     totalProducts: {
       type: Number,
@@ -171,37 +406,134 @@ storeSchema.index({ owner: 1 });
 // Index for category
 storeSchema.index({ category: 1 });
 
+// Filter for stores customers may see
+storeSchema.statics.publicFilter = function() {
+  return { isActive: true, isVerified: true };
+};
+
+// Projection leaving out the private fields (for find().select() and $project)
+storeSchema.statics.publicProjection = function() {
+  return Object.fromEntries(PRIVATE_FIELDS.map(field => [field, 0]));
+};
+
 // Virtual for full address
 storeSchema.virtual('fullAddress').get(function() {
   return `${this.address.street}, ${this.address.city}, ${this.address.state} - ${this.address.pincode}`;
 });
 
-// Method to check if store is open
-storeSchema.methods.isOpen = function() {
-  const now = new Date();
-  const day = now.toLocaleLowerCase().slice(0, 3) + 'day';
-  const currentTime = now.toTimeString().slice(0, 5);
-  
-  const todayHours = this.operatingHours[day];
-  if (!todayHours || !todayHours.isOpen) {
-    return false;
+// Method to check whether a role may move the verification to a status
+storeSchema.methods.canTransitionVerification = function(newStatus, role) {
+  const edges = VERIFICATION_TRANSITIONS[this.verification.status] || {};
+  return Boolean(edges[newStatus] && edges[newStatus].includes(role));
+};
+
+// Method to check whether the owner may still change business details and documents
+storeSchema.methods.isVerificationEditable = function() {
+  return EDITABLE_VERIFICATION_STATUSES.includes(this.verification.status);
+};
+
+// Method to move the verification along, recording it in the history
+// actor: { role: 'store_owner' | 'admin', user: ObjectId }
+storeSchema.methods.transitionVerification = function(newStatus, actor, note = '') {
+  const from = this.verification.status;
+  if (!this.canTransitionVerification(newStatus, actor.role)) {
+    const error = new Error(`Cannot change verification from ${from} to ${newStatus}`);
+    error.code = 'INVALID_TRANSITION';
+    throw error;
+  }
+
+  this.verification.status = newStatus;
+  this.verification.history.push({ from, to: newStatus, note, actor });
+
+  if (newStatus === 'submitted') {
+    this.verification.submittedAt = new Date();
+    this.verification.reason = undefined;
   }
-  
-  return currentTime >= todayHours.open && currentTime <= todayHours.close;
+  if (newStatus === 'approved' || newStatus === 'rejected') {
+    this.verification.reviewedBy = actor.user;
+    this.verification.reviewedAt = new Date();
+    this.verification.reason = newStatus === 'rejected' ? note : undefined;
+  }
+  this.isVerified = newStatus === 'approved';
+};
+
+// Method to list what is still missing before the store can be submitted
+storeSchema.methods.getVerificationGaps = function() {
+  const gaps = [];
+  const details = this.businessDetails || {};
+  const documentTypes = this.verification.documents.map(document => document.type);
+
+  if (!details.pan) {
+    gaps.push({ code: 'pan_required', message: 'PAN is required' });
+  } else if (details.gstin && getGstinPan(details.gstin) !== normalizeId(details.pan)) {
+    gaps.push({ code: 'gstin_pan_mismatch', message: 'GSTIN was not issued against this PAN' });
+  }
+  if (!documentTypes.includes('pan_card')) {
+    gaps.push({ code: 'pan_card_required', message: 'Upload the PAN card' });
+  }
+  if (details.gstin && !documentTypes.includes('gst_certificate')) {
+    gaps.push({ code: 'gst_certificate_required', message: 'Upload the GST registration certificate' });
+  }
+
+  return gaps;
+};
+
+// Method to check if store is open
+storeSchema.methods.isOpen = function(at = new Date()) {
+  return getStoreHoursStatus(this, at).isOpen;
+};
+
+// Method to get { isOpen, opensAt, closesAt } at a moment
+storeSchema.methods.getHoursStatus = function(at = new Date()) {
+  return getStoreHoursStatus(this, at);
 };
 
 // Method to calculate distance from coordinates
 storeSchema.methods.calculateDistance = function(lat, lng) {
   const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat - this.address.coordinates[1]) * Math.PI / 180;
-  const dLng = (lng - this.address.coordinates[0]) * Math.PI / 180;
+  const [storeLng, storeLat] = this.address.coordinates.coordinates;
+  const dLat = (lat - storeLat) * Math.PI / 180;
+  const dLng = (lng - storeLng) * Math.PI / 180;
   const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(this.address.coordinates[1] * Math.PI / 180) * Math.cos(lat * Math.PI / 180) *
+    Math.cos(storeLat * Math.PI / 180) * Math.cos(lat * Math.PI / 180) *
     Math.sin(dLng/2) * Math.sin(dLng/2);
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
   return R * c;
 };
 
+// Build a store code from the first letters of the name plus a platform-wide
+// sequence, e.g. RAMS007
+const generateStoreCode = async (name) => {
+  const prefix = (name.toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 4) || 'STOR').padEnd(4, 'X');
+  const seq = await Counter.next('store_code');
+  return `${prefix}${String(seq).padStart(3, '0')}`;
+};
+
+// Method to make sure the store has a code (stores created before codes existed)
+storeSchema.methods.ensureCode = async function() {
+  if (this.code) {
+    return this.code;
+  }
+
+  const code = await generateStoreCode(this.name);
+
+  // Keep the first code if another request assigned one meanwhile
+  const updated = await this.constructor.findOneAndUpdate(
+    { _id: this._id, code: { $exists: false } },
+    { $set: { code } },
+    { new: true }
+  );
+  this.code = updated ? updated.code : (await this.constructor.findById(this._id)).code;
+  return this.code;
+};
+
+// Generate store code for new stores
+storeSchema.pre('save', async function() {
+  if (this.isNew && !this.code) {
+    this.code = await generateStoreCode(this.name);
+  }
+});
+
 module.exports = mongoose.model('Store', storeSchema);
 
 
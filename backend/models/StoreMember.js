@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const STORE_ROLES = ['owner', 'manager', 'staff', 'packer'];
+
+// Store roles allowed to perform each store action
+const STORE_PERMISSIONS = {
+  'store.update': ['owner', 'manager'],
+  'store.verification': ['owner'],
+  'store.members': ['owner'],
+  'store.analytics': ['owner', 'manager'],
+  'products.create': ['owner', 'manager'],
+  'products.edit': ['owner', 'manager', 'staff'],
+  'products.pricing': ['owner', 'manager'],
+  'products.delete': ['owner', 'manager'],
+  'products.stock': ['owner', 'manager', 'staff', 'packer'],
+  'orders.view': ['owner', 'manager', 'staff', 'packer'],
+  // Moving orders through preparing and ready
+  'orders.pack': ['owner', 'manager', 'staff', 'packer'],
+  'orders.status': ['owner', 'manager', 'staff'],
+  'orders.cancel': ['owner', 'manager'],
+  'coupons.manage': ['owner', 'manager'],
+  'refunds.manage': ['owner', 'manager']
+};
+
+// A user's role in one store
+const storeMemberSchema = new mongoose.Schema({
+  store: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: STORE_ROLES,
+    required: true
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One membership per user and store
+storeMemberSchema.index({ store: 1, user: 1 }, { unique: true });
+storeMemberSchema.index({ user: 1 });
+
+// Method to check whether this member may perform a store action
+storeMemberSchema.methods.can = function(permission) {
+  const roles = STORE_PERMISSIONS[permission];
+  return Boolean(roles && roles.includes(this.role));
+};
+
+// Static method to list the stores a user works at
+storeMemberSchema.statics.findForUser = function(userId) {
+  return this.find({ user: userId })
+    .populate('store', 'name category address.city isActive isVerified verification.status')
+    .sort({ createdAt: 1 });
+};
+
+module.exports = mongoose.model('StoreMember', storeMemberSchema);
@@ -10,7 +10,7 @@ const userSchema = new mongoose.Schema({
   },
   userType: {
     type: String,
-    enum: ['customer', 'store_owner'],
+    enum: ['customer', 'store_owner', 'delivery_partner', 'admin'],
     required: true
   },
   profile: {
@@ -40,21 +40,82 @@ const userSchema = new mongoose.Schema({
     expiresAt: Date
   },
   preferences: {
+    // Master switch for push notifications
     notifications: {
       type: Boolean,
       default: true
     },
+    // Per-category switches, only consulted while the master switch is on
+    notificationTypes: {
+      orders: {
+        type: Boolean,
+        default: true
+      },
+      inventory: {
+        type: Boolean,
+        default: true
+      },
+      refunds: {
+        type: Boolean,
+        default: true
+      }
+    },
     language: {
       type: String,
       default: 'en'
     }
   },
+  pushTokens: [{
+    token: {
+      type: String,
+      required: true
+    },
+    platform: {
+      type: String,
+      enum: ['ios', 'android', 'web']
+    },
+    registeredAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Only used for delivery partners
+  deliveryPartner: {
+    isAvailable: {
+      type: Boolean,
+      default: false
+    },
+    vehicleType: {
+      type: String,
+      enum: ['bicycle', 'motorcycle', 'scooter', 'car', 'on_foot']
+    },
+    location: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    },
+    locationUpdatedAt: Date
+  },
   lastLogin: {
     type: Date
   },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set while an admin has suspended the account (isActive is false)
+  suspension: {
+    reason: String,
+    suspendedAt: Date,
+    suspendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
   }
 }, {
   timestamps: true
@@ -96,6 +157,53 @@ userSchema.methods.clearOTP = function() {
   this.otp = undefined;
 };
 
+// Method to register a device push token (re-registering refreshes it)
+userSchema.methods.addPushToken = function(token, platform) {
+  this.pushTokens = this.pushTokens.filter(entry => entry.token !== token);
+  this.pushTokens.push({ token, platform });
+};
+
+// Method to forget a device push token
+userSchema.methods.removePushToken = function(token) {
+  this.pushTokens = this.pushTokens.filter(entry => entry.token !== token);
+};
+
+// Method to check whether a category of notifications should be delivered
+userSchema.methods.wantsNotification = function(category) {
+  if (!this.preferences || this.preferences.notifications === false) {
+    return false;
+  }
+  const types = this.preferences.notificationTypes || {};
+  return types[category] !== false;
+};
+
+// Method to record a delivery partner's current position
+userSchema.methods.setPartnerLocation = function(latitude, longitude) {
+  this.deliveryPartner.location = {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  };
+  this.deliveryPartner.locationUpdatedAt = new Date();
+};
+
+// Method to suspend the account; suspended users can no longer log in
+userSchema.methods.suspend = function(adminId, reason) {
+  this.isActive = false;
+  this.suspension = {
+    reason,
+    suspendedAt: new Date(),
+    suspendedBy: adminId
+  };
+  // Stop pushing to the devices of a suspended account
+  this.pushTokens = [];
+};
+
+// Method to lift a suspension
+userSchema.methods.reactivate = function() {
+  this.isActive = true;
+  this.suspension = undefined;
+};
+
 // Pre-save middleware
 userSchema.pre('save', function(next) {
   if (this.isModified('phone')) {
@@ -0,0 +1,530 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Session = require('../models/Session');
+const { authenticateToken, requireUserType } = require('../middlewares/auth');
+const cloudinary = require('cloudinary').v2;
+
+const router = express.Router();
+
+// Every route here is for platform admins
+router.use(authenticateToken, requireUserType('admin'));
+
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+const VERIFICATION_STATUSES = Store.schema.path('verification.status').enumValues;
+
+// Shared page/limit handling for admin lists
+const getPaging = (req) => {
+  const page = parseInt(req.query.page || 1);
+  const limit = parseInt(req.query.limit || 20);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const paginationFor = ({ page, limit, skip }, count, total) => ({
+  currentPage: page,
+  totalPages: Math.ceil(total / limit),
+  total,
+  hasNext: skip + count < total,
+  hasPrev: page > 1
+});
+
+const pagingValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Valid page required'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+];
+
+// A decision with a reason, required when rejecting
+const decisionValidators = [
+  body('decision').isIn(['approved', 'rejected']).withMessage('Valid decision required'),
+  body('reason')
+    .if(body('decision').equals('rejected'))
+    .isString().trim().isLength({ min: 1 }).withMessage('Reason required when rejecting')
+];
+
+// Stores waiting for (or past) verification, oldest submission first
+router.get('/stores', [
+  query('status').optional().isIn(VERIFICATION_STATUSES).withMessage('Invalid verification status'),
+  ...pagingValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paging = getPaging(req);
+    const filter = { 'verification.status': req.query.status || 'submitted' };
+
+    const stores = await Store.find(filter)
+      .select('name category owner businessDetails isVerified verification.status verification.submittedAt verification.reviewedBy verification.reviewedAt createdAt')
+      .populate('owner', 'phone profile isActive')
+      .populate('verification.reviewedBy', 'phone profile')
+      .sort({ 'verification.submittedAt': 1, createdAt: 1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    const total = await Store.countDocuments(filter);
+
+    res.json({
+      stores,
+      pagination: paginationFor(paging, stores.length, total)
+    });
+
+  } catch (error) {
+    console.error('Admin get stores error:', error);
+    res.status(500).json({ message: 'Failed to get stores' });
+  }
+});
+
+// Short-lived link to a privately stored verification document
+const signedDocumentUrl = (document) => {
+  if (!document.publicId) {
+    return document.url;
+  }
+  return cloudinary.utils.private_download_url(document.publicId, '', {
+    type: 'authenticated',
+    expires_at: Math.floor(Date.now() / 1000) + 15 * 60
+  });
+};
+
+// Full verification file for one store, including reviewer notes
+router.get('/stores/:id/verification', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const store = await Store.findById(req.params.id)
+      .populate('owner', 'phone profile isActive')
+      .populate('verification.reviewedBy', 'phone profile')
+      .populate('verification.reviewerNotes.by', 'phone profile');
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const verification = store.verification.toObject();
+    verification.documents = store.verification.documents.map(document => ({
+      ...document.toObject(),
+      url: signedDocumentUrl(document)
+    }));
+
+    res.json({
+      store: {
+        id: store._id,
+        name: store.name,
+        owner: store.owner,
+        address: store.address,
+        businessDetails: store.businessDetails,
+        isVerified: store.isVerified
+      },
+      verification,
+      gaps: store.getVerificationGaps()
+    });
+
+  } catch (error) {
+    console.error('Admin get store verification error:', error);
+    res.status(500).json({ message: 'Failed to get store verification' });
+  }
+});
+
+// Pick up a submitted store for review
+router.post('/stores/:id/verification/claim', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    if (!store.canTransitionVerification('under_review', 'admin')) {
+      return res.status(409).json({
+        message: `Store cannot be reviewed while verification is ${store.verification.status}`
+      });
+    }
+
+    store.transitionVerification('under_review', { role: 'admin', user: req.user._id });
+    store.verification.reviewedBy = req.user._id;
+    await store.save();
+
+    res.json({
+      message: 'Store verification under review',
+      verification: { status: store.verification.status, reviewedBy: store.verification.reviewedBy }
+    });
+
+  } catch (error) {
+    console.error('Admin claim store verification error:', error);
+    res.status(500).json({ message: 'Failed to start store review' });
+  }
+});
+
+// Add an internal note to a store's verification
+router.post('/stores/:id/verification/notes', [
+  body('note').isString().trim().isLength({ min: 1, max: 1000 }).withMessage('Note required')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    store.verification.reviewerNotes.push({ note: req.body.note, by: req.user._id });
+    await store.save();
+
+    res.status(201).json({
+      message: 'Note added',
+      reviewerNotes: store.verification.reviewerNotes
+    });
+
+  } catch (error) {
+    console.error('Admin add verification note error:', error);
+    res.status(500).json({ message: 'Failed to add note' });
+  }
+});
+
+// Approve or reject a store under review; a rejected store may resubmit
+router.patch('/stores/:id/verification', decisionValidators, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, reason } = req.body;
+
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    if (!store.canTransitionVerification(decision, 'admin')) {
+      return res.status(409).json({
+        message: `Store cannot be ${decision} while verification is ${store.verification.status}`
+      });
+    }
+
+    store.transitionVerification(decision, { role: 'admin', user: req.user._id }, reason);
+    await store.save();
+
+    res.json({
+      message: decision === 'approved' ? 'Store verified' : 'Store verification rejected',
+      store: {
+        id: store._id,
+        name: store.name,
+        isVerified: store.isVerified,
+        verification: {
+          status: store.verification.status,
+          reason: store.verification.reason,
+          reviewedBy: store.verification.reviewedBy,
+          reviewedAt: store.verification.reviewedAt
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin store verification error:', error);
+    res.status(500).json({ message: 'Failed to update store verification' });
+  }
+});
+
+// Find users by type, state or phone
+router.get('/users', [
+  query('userType').optional().isIn(['customer', 'store_owner', 'delivery_partner', 'admin']).withMessage('Invalid user type'),
+  query('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
+  query('phone').optional().isString(),
+  ...pagingValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paging = getPaging(req);
+    const { userType, isActive, phone } = req.query;
+
+    const filter = {};
+    if (userType) {
+      filter.userType = userType;
+    }
+    if (isActive !== undefined) {
+      filter.isActive = isActive === 'true';
+    }
+    if (phone) {
+      filter.phone = phone.replace(/[^\d+]/g, '');
+    }
+
+    const users = await User.find(filter)
+      .select('phone userType profile isVerified isActive suspension lastLogin createdAt')
+      .sort({ createdAt: -1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    const total = await User.countDocuments(filter);
+
+    res.json({
+      users,
+      pagination: paginationFor(paging, users.length, total)
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Failed to get users' });
+  }
+});
+
+// Suspend a user; their tokens stop working immediately
+router.post('/users/:id/suspend', [
+  body('reason').isString().trim().isLength({ min: 1 }).withMessage('Suspension reason required')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.userType === 'admin') {
+      return res.status(403).json({ message: 'Admins cannot be suspended' });
+    }
+
+    if (!user.isActive) {
+      return res.status(409).json({ message: 'User is already suspended' });
+    }
+
+    user.suspend(req.user._id, req.body.reason);
+    // Suspended partners cannot keep receiving deliveries
+    if (user.userType === 'delivery_partner') {
+      user.deliveryPartner.isAvailable = false;
+    }
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'suspended');
+
+    res.json({
+      message: 'User suspended',
+      user: { id: user._id, isActive: user.isActive, suspension: user.suspension }
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({ message: 'Failed to suspend user' });
+  }
+});
+
+// Lift a suspension
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isActive) {
+      return res.status(409).json({ message: 'User is not suspended' });
+    }
+
+    user.reactivate();
+    await user.save();
+
+    res.json({
+      message: 'User reactivated',
+      user: { id: user._id, isActive: user.isActive }
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({ message: 'Failed to reactivate user' });
+  }
+});
+
+// Product listings waiting for moderation, oldest change first
+router.get('/moderation/products', [
+  query('status').optional().isIn(MODERATION_STATUSES).withMessage('Invalid moderation status'),
+  ...pagingValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paging = getPaging(req);
+    const filter = { 'moderation.status': req.query.status || 'pending' };
+
+    const products = await Product.find(filter)
+      .select('name description brand images tags pricing status moderation store updatedAt')
+      .populate('store', 'name')
+      .sort({ updatedAt: 1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    const total = await Product.countDocuments(filter);
+
+    res.json({
+      products,
+      pagination: paginationFor(paging, products.length, total)
+    });
+
+  } catch (error) {
+    console.error('Admin get product queue error:', error);
+    res.status(500).json({ message: 'Failed to get product moderation queue' });
+  }
+});
+
+// Approve or take down a product listing
+router.patch('/moderation/products/:id/review', decisionValidators, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, reason } = req.body;
+
+    const product = await Product.findById(req.params.id);
+    if (!product) {
+      return res.status(404).json({ message: 'Product not found' });
+    }
+
+    const wasRejected = product.moderation.status === 'rejected';
+
+    product.moderation = {
+      status: decision,
+      reason,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    if (decision === 'rejected') {
+      product.status = 'inactive';
+    } else if (wasRejected) {
+      // Put back a listing that moderation took down
+      product.status = 'active';
+    }
+    await product.save();
+
+    res.json({
+      message: decision === 'approved' ? 'Product approved' : 'Product taken down',
+      product: { id: product._id, status: product.status, moderation: product.moderation }
+    });
+
+  } catch (error) {
+    console.error('Admin moderate product error:', error);
+    res.status(500).json({ message: 'Failed to moderate product' });
+  }
+});
+
+// Written order reviews waiting for moderation
+router.get('/moderation/reviews', [
+  query('status').optional().isIn(MODERATION_STATUSES).withMessage('Invalid moderation status'),
+  ...pagingValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const paging = getPaging(req);
+    const filter = { 'rating.moderation.status': req.query.status || 'pending' };
+
+    const orders = await Order.find(filter)
+      .select('orderNumber store customer rating')
+      .populate('store', 'name')
+      .populate('customer', 'phone profile')
+      .sort({ 'rating.ratedAt': 1 })
+      .skip(paging.skip)
+      .limit(paging.limit);
+
+    const total = await Order.countDocuments(filter);
+
+    res.json({
+      reviews: orders.map(order => ({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        store: order.store,
+        customer: order.customer,
+        rating: order.rating
+      })),
+      pagination: paginationFor(paging, orders.length, total)
+    });
+
+  } catch (error) {
+    console.error('Admin get review queue error:', error);
+    res.status(500).json({ message: 'Failed to get review moderation queue' });
+  }
+});
+
+// Approve or reject the written review on an order
+router.patch('/moderation/reviews/:orderId/review', decisionValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, reason } = req.body;
+
+    const order = await Order.findById(req.params.orderId);
+    if (!order || !order.rating || !order.rating.review) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+
+    order.rating.moderation = {
+      status: decision,
+      reason,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    };
+    // Rejected reviews keep their score but not their text
+    if (decision === 'rejected') {
+      order.rating.review = undefined;
+    }
+    await order.save();
+
+    res.json({
+      message: decision === 'approved' ? 'Review approved' : 'Review rejected',
+      rating: order.rating
+    });
+
+  } catch (error) {
+    console.error('Admin moderate review error:', error);
+    res.status(500).json({ message: 'Failed to moderate review' });
+  }
+});
+
+module.exports = router;
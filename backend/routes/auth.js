@@ -1,7 +1,10 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../middlewares/auth');
+const Session = require('../models/Session');
+const accessEvents = require('../services/accessEvents');
+const { authenticateToken, generateToken } = require('../middlewares/auth');
 const twilio = require('twilio');
 
 const router = express.Router();
@@ -22,7 +25,7 @@ if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
 // Send OTP
 router.post('/send-otp', [
   body('phone').isMobilePhone().withMessage('Valid phone number required'),
-  body('userType').isIn(['customer', 'store_owner']).withMessage('Valid user type required')
+  body('userType').isIn(['customer', 'store_owner', 'delivery_partner']).withMessage('Valid user type required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -37,8 +40,12 @@ router.post('/send-otp', [
     if (!user) {
       user = new User({ phone, userType });
     } else {
-      // Update user type if changed
-      if (user.userType !== userType) {
+      if (!user.isActive) {
+        return res.status(403).json({ message: 'Account suspended' });
+      }
+
+      // Update user type if changed (admins keep their role)
+      if (user.userType !== userType && user.userType !== 'admin') {
         user.userType = userType;
       }
     }
@@ -81,7 +88,10 @@ router.post('/send-otp', [
 // Verify OTP and login
 router.post('/verify-otp', [
   body('phone').isMobilePhone().withMessage('Valid phone number required'),
-  body('otp').isLength({ min: 6, max: 6 }).withMessage('6-digit OTP required')
+  body('otp').isLength({ min: 6, max: 6 }).withMessage('6-digit OTP required'),
+  body('device.name').optional().isString().isLength({ max: 100 }).withMessage('Device name too long'),
+  body('device.platform').optional().isString().isLength({ max: 20 }).withMessage('Invalid platform'),
+  body('device.appVersion').optional().isString().isLength({ max: 20 }).withMessage('Invalid app version')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -96,6 +106,10 @@ router.post('/verify-otp', [
       return res.status(400).json({ message: 'User not found' });
     }
 
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account suspended' });
+    }
+
     // Verify OTP
     if (!user.verifyOTP(otp)) {
       return res.status(400).json({ message: 'Invalid or expired OTP' });
@@ -107,12 +121,18 @@ router.post('/verify-otp', [
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate JWT token
-    const token = generateToken(user._id);
+    // Each login is a session of its own, so devices can be logged out separately
+    const { session, refreshToken } = await Session.start(user._id, {
+      device: req.body.device,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    const token = generateToken(user._id, session._id);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         phone: user.phone,
@@ -129,7 +149,7 @@ router.post('/verify-otp', [
 });
 
 // Get current user profile
-router.get('/profile', require('../middlewares/auth').authenticateToken, async (req, res) => {
+router.get('/profile', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user._id).select('-otp');
     res.json({ user });
@@ -141,7 +161,7 @@ router.get('/profile', require('../middlewares/auth').authenticateToken, async (
 
 // Update user profile
 router.put('/profile', [
-  require('../middlewares/auth').authenticateToken,
+  authenticateToken,
   body('profile.firstName').optional().isLength({ min: 1 }).withMessage('First name required'),
   body('profile.lastName').optional().isLength({ min: 1 }).withMessage('Last name required'),
   body('profile.email').optional().isEmail().withMessage('Valid email required')
@@ -178,11 +198,15 @@ router.put('/profile', [
   }
 });
 
-// Logout
-router.post('/logout', require('../middlewares/auth').authenticateToken, async (req, res) => {
+// Logout (ends this device's session)
+router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more sophisticated setup, you might want to blacklist the token
-    // For now, we'll just return success
+    await Session.updateOne(
+      { _id: req.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+    accessEvents.emit('session_revoked', req.sessionId);
+
     res.json({ message: 'Logout successful' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -190,13 +214,34 @@ router.post('/logout', require('../middlewares/auth').authenticateToken, async (
   }
 });
 
-// Refresh token
-router.post('/refresh', require('../middlewares/auth').authenticateToken, async (req, res) => {
+// Swap a refresh token for a new access and refresh token. Each refresh token
+// works once; reusing an old one ends the session.
+router.post('/refresh', [
+  body('refreshToken').isString().withMessage('Refresh token required')
+], async (req, res) => {
   try {
-    const newToken = generateToken(req.user._id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await Session.rotate(req.body.refreshToken);
+    if (result.error === 'reuse_detected') {
+      return res.status(401).json({ message: 'Refresh token already used; session revoked', reason: 'reuse_detected' });
+    }
+    if (result.error) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token', reason: 'invalid_refresh_token' });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ message: 'Invalid or inactive user' });
+    }
+
     res.json({
       message: 'Token refreshed successfully',
-      token: newToken
+      token: generateToken(user._id, result.session._id),
+      refreshToken: result.refreshToken
     });
   } catch (error) {
     console.error('Refresh token error:', error);
@@ -204,6 +249,66 @@ router.post('/refresh', require('../middlewares/auth').authenticateToken, async
   }
 });
 
+// List the devices the user is logged in on
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        device: session.device,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        isCurrent: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Failed to get sessions' });
+  }
+});
+
+// Log out another device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id });
+    if (!session || !session.isActive()) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revoke('revoked');
+    await session.save();
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Failed to revoke session' });
+  }
+});
+
+// Log out every device but this one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'revoked', req.sessionId);
+
+    res.json({ message: 'Other sessions revoked', revoked: result.modifiedCount });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ message: 'Failed to revoke sessions' });
+  }
+});
+
 module.exports = router;
 
 
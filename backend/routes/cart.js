@@ -2,6 +2,11 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
+const Store = require('../models/Store');
+const { evaluateCoupon } = require('../services/coupons');
+const { checkServiceability } = require('../services/serviceability');
+const { calculateDeliveryFee } = require('../services/deliveryFee');
+const { hasBookableSlots } = require('../services/slots');
 const { authenticateToken, requireUserType } = require('../middlewares/auth');
 
 const router = express.Router();
@@ -10,7 +15,7 @@ const router = express.Router();
 router.get('/', authenticateToken, async (req, res) => {
   try {
     let cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product', 'name pricing images status inventory');
+      .populate('items.product', 'name pricing images status inventory store');
 
     if (!cart) {
       cart = new Cart({ user: req.user._id, items: [] });
@@ -55,7 +60,7 @@ router.post('/add', [
 
     // Verify product exists and is available
     const product = await Product.findById(productId)
-      .populate('store', 'name isActive');
+      .populate('store', 'name isActive timezone operatingHours holidays slotSettings');
 
     if (!product) {
       return res.status(404).json({ message: 'Product not found' });
@@ -69,6 +74,16 @@ router.post('/add', [
       return res.status(400).json({ message: 'Store is not active' });
     }
 
+    // A closed store can only take orders scheduled into a later slot
+    const hours = product.store.getHoursStatus();
+    if (!hours.isOpen && !hasBookableSlots(product.store)) {
+      return res.status(409).json({
+        message: 'Store is closed',
+        reason: 'store_closed',
+        opensAt: hours.opensAt
+      });
+    }
+
     // Check stock availability
     if (product.inventory.trackStock && product.inventory.stock < quantity) {
       return res.status(400).json({ 
@@ -231,6 +246,207 @@ router.delete('/clear', [
   }
 });
 
+// Accept changed prices for items in cart
+router.post('/reprice', [
+  authenticateToken,
+  requireUserType('customer'),
+  body('items').isArray({ min: 1 }).withMessage('Items to reprice required'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.price').isFloat({ min: 0 }).withMessage('Valid price required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items } = req.body;
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product', 'name pricing status');
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    // Only accept prices the customer has actually seen; if a price moved
+    // again since, report the latest changes instead
+    const priceChanges = cart.getPriceChanges();
+    const outdated = items.filter(({ productId, price }) => {
+      const change = priceChanges.find(change => change.product.toString() === productId);
+      return change && change.newPrice !== Number(price);
+    });
+
+    if (outdated.length > 0) {
+      return res.status(409).json({
+        message: 'Prices have changed again',
+        reason: 'price_changed',
+        priceChanges
+      });
+    }
+
+    items.forEach(({ productId, price }) => {
+      if (priceChanges.some(change => change.product.toString() === productId)) {
+        cart.repriceItem(productId, Number(price));
+      }
+    });
+
+    await cart.save();
+
+    res.json({
+      message: 'Cart prices updated successfully',
+      cart: await Cart.findById(cart._id).populate('items.product', 'name pricing images'),
+      priceChanges: cart.getPriceChanges()
+    });
+
+  } catch (error) {
+    console.error('Reprice cart error:', error);
+    res.status(500).json({ message: 'Failed to update cart prices' });
+  }
+});
+
+// Quote delivery fees for the cart, one entry per store, priced the same way as checkout
+router.post('/delivery-quote', [
+  authenticateToken,
+  requireUserType('customer'),
+  body('deliveryType').isIn(['pickup', 'delivery']).withMessage('Valid delivery type required'),
+  body('latitude')
+    .if(body('deliveryType').equals('delivery'))
+    .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude')
+    .if(body('deliveryType').equals('delivery'))
+    .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deliveryType, latitude, longitude } = req.body;
+    const location = deliveryType === 'delivery'
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : null;
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product', 'name status store availability');
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const subtotals = cart.getStoreSubtotals();
+    const stores = await Store.find({ _id: { $in: Object.keys(subtotals) } });
+
+    const quotes = stores.map(store => {
+      const storeId = store._id.toString();
+      const subtotal = subtotals[storeId];
+      const items = cart.items.filter(item =>
+        item.product && item.product.status === 'active' && item.product.store.toString() === storeId
+      );
+
+      const serviceability = checkServiceability({ store, deliveryType, location, items, subtotal });
+
+      let deliveryFee = 0;
+      let feeBreakdown = null;
+      if (deliveryType === 'delivery' && serviceability.serviceable) {
+        const quote = calculateDeliveryFee({
+          services: store.services,
+          distance: serviceability.distance,
+          subtotal,
+          timezone: store.timezone
+        });
+        deliveryFee = quote.fee;
+        feeBreakdown = quote.breakdown;
+      }
+
+      return {
+        store: store._id,
+        storeName: store.name,
+        subtotal,
+        ...serviceability,
+        deliveryFee,
+        feeBreakdown
+      };
+    });
+
+    res.json({
+      deliveryType,
+      stores: quotes,
+      totalDeliveryFee: Math.round(quotes.reduce((total, quote) => total + quote.deliveryFee, 0) * 100) / 100
+    });
+
+  } catch (error) {
+    console.error('Delivery quote error:', error);
+    res.status(500).json({ message: 'Failed to quote delivery' });
+  }
+});
+
+// Apply coupon to cart
+router.post('/apply-coupon', [
+  authenticateToken,
+  requireUserType('customer'),
+  body('code').isLength({ min: 1 }).withMessage('Coupon code required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cart = await Cart.findOne({ user: req.user._id })
+      .populate('items.product', 'name pricing status store');
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({ message: 'Cart is empty' });
+    }
+
+    const evaluation = await evaluateCoupon(req.body.code, req.user._id, cart.getStoreSubtotals());
+    if (evaluation.error) {
+      return res.status(400).json({
+        message: evaluation.error.message,
+        coupon: evaluation.error
+      });
+    }
+
+    cart.couponCode = evaluation.coupon.code;
+    await cart.save();
+
+    res.json({
+      message: 'Coupon applied successfully',
+      coupon: {
+        code: evaluation.coupon.code,
+        description: evaluation.coupon.description,
+        discount: evaluation.discount,
+        allocations: evaluation.allocations
+      }
+    });
+
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({ message: 'Failed to apply coupon' });
+  }
+});
+
+// Remove coupon from cart
+router.delete('/coupon', [
+  authenticateToken,
+  requireUserType('customer')
+], async (req, res) => {
+  try {
+    const cart = await Cart.findOne({ user: req.user._id });
+    if (!cart) {
+      return res.status(404).json({ message: 'Cart not found' });
+    }
+
+    cart.couponCode = undefined;
+    await cart.save();
+
+    res.json({ message: 'Coupon removed successfully' });
+
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({ message: 'Failed to remove coupon' });
+  }
+});
+
 // Get cart summary
 router.get('/summary', authenticateToken, async (req, res) => {
   try {
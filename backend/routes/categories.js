@@ -73,9 +73,10 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create category (admin only - for now, any authenticated user)
+// Create category (admins only)
 router.post('/', [
   authenticateToken,
+  requireUserType('admin'),
   body('name').isLength({ min: 1 }).withMessage('Category name required'),
   body('parent').optional().isMongoId().withMessage('Valid parent category ID required'),
   body('description').optional().isString().withMessage('Description must be a string'),
@@ -126,9 +127,10 @@ router.post('/', [
   }
 });
 
-// Update category
+// Update category (admins only)
 router.put('/:id', [
   authenticateToken,
+  requireUserType('admin'),
   body('name').optional().isLength({ min: 1 }).withMessage('Category name required'),
   body('description').optional().isString().withMessage('Description must be a string'),
   body('icon').optional().isString().withMessage('Icon must be a string'),
@@ -163,8 +165,8 @@ router.put('/:id', [
   }
 });
 
-// Delete category
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Delete category (admins only)
+router.delete('/:id', authenticateToken, requireUserType('admin'), async (req, res) => {
   try {
     const category = await Category.findById(req.params.id);
     if (!category) {
@@ -204,8 +206,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Initialize default categories
-router.post('/initialize', authenticateToken, async (req, res) => {
+// Initialize default categories (admins only)
+router.post('/initialize', authenticateToken, requireUserType('admin'), async (req, res) => {
   try {
     // Check if categories already exist
     const existingCategories = await Category.countDocuments();
@@ -0,0 +1,126 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const { loaders } = require('../services/policy');
+const { authenticateToken, requireUserType, requireVerified, requireStoreAccess, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+const couponValidators = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('discount.type').isIn(['percentage', 'flat']).withMessage('Valid discount type required'),
+    field('discount.value').isFloat({ min: 0 }).withMessage('Valid discount value required'),
+    body('discount.maxAmount').optional().isFloat({ min: 0 }).withMessage('Valid maximum discount required'),
+    body('minOrderAmount').optional().isFloat({ min: 0 }).withMessage('Valid minimum order amount required'),
+    body('validity.from').optional().isISO8601().withMessage('Valid start date required'),
+    body('validity.until').optional().isISO8601().withMessage('Valid end date required'),
+    body('limits.total').optional().isInt({ min: 1 }).withMessage('Valid total usage limit required'),
+    body('limits.perUser').optional().isInt({ min: 1 }).withMessage('Valid per-user limit required'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be a boolean')
+  ];
+};
+
+// Create store coupon (store owners only)
+router.post('/', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  requireStoreAccess('coupon.manage'),
+  body('code').isAlphanumeric().isLength({ min: 3, max: 20 }).withMessage('Coupon code must be 3-20 letters or digits'),
+  ...couponValidators()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const existing = await Coupon.findByCode(req.body.code);
+    if (existing) {
+      return res.status(400).json({ message: 'Coupon code already exists' });
+    }
+
+    const { code, description, discount, minOrderAmount, validity, limits, isActive } = req.body;
+
+    const coupon = new Coupon({
+      code,
+      description,
+      discount,
+      minOrderAmount,
+      validity,
+      limits,
+      isActive,
+      store: req.store._id,
+      createdBy: req.user._id
+    });
+    await coupon.save();
+
+    res.status(201).json({
+      message: 'Coupon created successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({ message: 'Failed to create coupon' });
+  }
+});
+
+// Get store coupons (store owners only)
+router.get('/store', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireStoreAccess('coupon.manage')
+], async (req, res) => {
+  try {
+    const coupons = await Coupon.find({ store: req.store._id })
+      .sort({ createdAt: -1 });
+
+    res.json({ coupons });
+
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ message: 'Failed to get coupons' });
+  }
+});
+
+// Update store coupon (store owners only)
+router.put('/:id', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('coupon.update', loaders.coupon),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  ...couponValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const coupon = req.coupon;
+
+    // Code, scope and usage count are not editable
+    const { description, discount, minOrderAmount, validity, limits, isActive } = req.body;
+    const updates = { description, discount, minOrderAmount, validity, limits, isActive };
+    Object.keys(updates).forEach(key => {
+      if (updates[key] !== undefined) {
+        coupon.set(key, updates[key]);
+      }
+    });
+    await coupon.save();
+
+    res.json({
+      message: 'Coupon updated successfully',
+      coupon
+    });
+
+  } catch (error) {
+    console.error('Update coupon error:', error);
+    res.status(500).json({ message: 'Failed to update coupon' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,400 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Store = require('../models/Store');
+const User = require('../models/User');
+const { handoverFailureResponse } = require('../services/handover');
+const { authenticateToken, requireUserType } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Every route here is for delivery partners
+router.use(authenticateToken, requireUserType('delivery_partner'));
+
+const ACTIVE_STATUSES = ['confirmed', 'preparing', 'ready', 'out_for_delivery'];
+
+// Load an order assigned to the current partner
+const findAssignedOrder = async (orderId, partnerId, select = '') => {
+  const order = await Order.findById(orderId).select(select);
+  if (!order || !order.isAssignedTo(partnerId)) {
+    return null;
+  }
+  return order;
+};
+
+// Toggle availability (optionally with the current position)
+router.patch('/availability', [
+  body('isAvailable').isBoolean().withMessage('isAvailable must be a boolean'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('vehicleType').optional().isIn(['bicycle', 'motorcycle', 'scooter', 'car', 'on_foot']).withMessage('Invalid vehicle type')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { isAvailable, latitude, longitude, vehicleType } = req.body;
+    const user = await User.findById(req.user._id);
+
+    user.deliveryPartner.isAvailable = isAvailable;
+    if (vehicleType) {
+      user.deliveryPartner.vehicleType = vehicleType;
+    }
+    if (latitude !== undefined && longitude !== undefined) {
+      user.setPartnerLocation(parseFloat(latitude), parseFloat(longitude));
+    }
+
+    await user.save();
+
+    res.json({
+      message: isAvailable ? 'You are now available for deliveries' : 'You are now offline',
+      deliveryPartner: user.deliveryPartner
+    });
+
+  } catch (error) {
+    console.error('Update availability error:', error);
+    res.status(500).json({ message: 'Failed to update availability' });
+  }
+});
+
+// Update current position
+router.patch('/location', [
+  body('latitude').isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.setPartnerLocation(parseFloat(req.body.latitude), parseFloat(req.body.longitude));
+    await user.save();
+
+    res.json({ message: 'Location updated' });
+
+  } catch (error) {
+    console.error('Update location error:', error);
+    res.status(500).json({ message: 'Failed to update location' });
+  }
+});
+
+// Get orders near the partner that are waiting for someone to deliver them
+router.get('/orders/assignable', [
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be between 0.1 and 50 km')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.user.deliveryPartner.isAvailable) {
+      return res.status(409).json({ message: 'Go online to see assignable orders' });
+    }
+
+    // Use the position sent with the request, falling back to the last known one
+    let coordinates = null;
+    if (req.query.latitude !== undefined && req.query.longitude !== undefined) {
+      coordinates = [parseFloat(req.query.longitude), parseFloat(req.query.latitude)];
+    } else if (req.user.deliveryPartner.location && req.user.deliveryPartner.location.coordinates) {
+      coordinates = req.user.deliveryPartner.location.coordinates;
+    }
+
+    if (!coordinates) {
+      return res.status(400).json({ message: 'Current location required' });
+    }
+
+    const radius = parseFloat(req.query.radius || 5);
+
+    const stores = await Store.find({
+      isActive: true,
+      'address.coordinates': {
+        $near: {
+          $geometry: { type: 'Point', coordinates },
+          $maxDistance: radius * 1000
+        }
+      }
+    }).select('name address contact');
+
+    if (stores.length === 0) {
+      return res.json({ orders: [] });
+    }
+
+    const orders = await Order.find({
+      ...Order.assignableFilter(req.user._id),
+      store: { $in: stores.map(store => store._id) }
+    })
+      .select('orderNumber storeOrderNumber store status delivery.type delivery.address delivery.fee pricing.total items.quantity createdAt')
+      .sort({ createdAt: 1 });
+
+    // Stores come back nearest first; keep that order for their orders
+    const storeIndex = new Map(stores.map((store, index) => [store._id.toString(), index]));
+    const storesById = new Map(stores.map(store => [store._id.toString(), store]));
+
+    const results = orders
+      .map(order => {
+        const store = storesById.get(order.store.toString());
+        return {
+          ...order.toObject(),
+          store,
+          distanceToStore: Math.round(store.calculateDistance(coordinates[1], coordinates[0]) * 100) / 100
+        };
+      })
+      .sort((a, b) => storeIndex.get(a.store._id.toString()) - storeIndex.get(b.store._id.toString()));
+
+    res.json({ orders: results });
+
+  } catch (error) {
+    console.error('Get assignable orders error:', error);
+    res.status(500).json({ message: 'Failed to get assignable orders' });
+  }
+});
+
+// Get the partner's deliveries
+router.get('/orders', async (req, res) => {
+  try {
+    const { active, page = 1, limit = 10 } = req.query;
+
+    let query = { 'delivery.partner': req.user._id };
+    if (active === 'true') {
+      query.status = { $in: ACTIVE_STATUSES };
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const orders = await Order.find(query)
+      .populate('store', 'name address contact')
+      .populate('customer', 'profile phone')
+      .sort({ 'delivery.assignedAt': -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Order.countDocuments(query);
+
+    res.json({
+      orders,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalOrders: total,
+        hasNext: skip + orders.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get deliveries error:', error);
+    res.status(500).json({ message: 'Failed to get deliveries' });
+  }
+});
+
+// Accept an assignable order
+router.post('/orders/:id/accept', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    if (!req.user.deliveryPartner.isAvailable) {
+      return res.status(409).json({ message: 'Go online to accept orders' });
+    }
+
+    // Claim atomically so two partners cannot take the same order
+    const order = await Order.findOneAndUpdate(
+      { _id: req.params.id, ...Order.assignableFilter(req.user._id) },
+      {
+        $set: {
+          'delivery.partner': req.user._id,
+          'delivery.assignedAt': new Date()
+        }
+      },
+      { new: true }
+    );
+
+    if (!order) {
+      return res.status(409).json({ message: 'Order is no longer available' });
+    }
+
+    order.timeline.push({
+      status: order.status,
+      note: 'Delivery partner assigned',
+      actor: { role: 'delivery_partner', user: req.user._id }
+    });
+    await order.save();
+
+    res.json({
+      message: 'Order accepted',
+      order
+    });
+
+  } catch (error) {
+    console.error('Accept order error:', error);
+    res.status(500).json({ message: 'Failed to accept order' });
+  }
+});
+
+// Reject an order: hides an assignable order, or hands back one accepted but not yet picked up
+router.post('/orders/:id/reject', [
+  body('reason').optional().isString().withMessage('Reason must be a string')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.isAssignedTo(req.user._id)) {
+      if (order.status === 'out_for_delivery') {
+        return res.status(409).json({ message: 'Orders already picked up cannot be handed back' });
+      }
+
+      order.delivery.partner = undefined;
+      order.delivery.assignedAt = undefined;
+      order.delivery.rejectedBy.addToSet(req.user._id);
+      order.timeline.push({
+        status: order.status,
+        note: req.body.reason ? `Delivery partner unassigned: ${req.body.reason}` : 'Delivery partner unassigned',
+        actor: { role: 'delivery_partner', user: req.user._id }
+      });
+      await order.save();
+    } else {
+      await Order.updateOne(
+        { _id: order._id },
+        { $addToSet: { 'delivery.rejectedBy': req.user._id } }
+      );
+    }
+
+    res.json({ message: 'Order rejected' });
+
+  } catch (error) {
+    console.error('Reject order error:', error);
+    res.status(500).json({ message: 'Failed to reject order' });
+  }
+});
+
+// Mark an order as picked up from the store
+router.post('/orders/:id/pickup', [
+  body('photoUrl').optional().isURL().withMessage('Valid photo URL required')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const order = await findAssignedOrder(req.params.id, req.user._id);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!order.canTransitionTo('out_for_delivery', 'delivery_partner')) {
+      return res.status(409).json({
+        message: 'Order is not ready for pickup',
+        currentStatus: order.status
+      });
+    }
+
+    order.updateStatus('out_for_delivery', 'Picked up by delivery partner', {
+      role: 'delivery_partner',
+      user: req.user._id
+    });
+    order.delivery.pickedUpAt = new Date();
+    if (req.body.photoUrl) {
+      order.delivery.pickupProof = { photoUrl: req.body.photoUrl };
+    }
+    await order.save();
+
+    // The handover code was just issued for the customer; the partner only
+    // gets it back from them at the door
+    order.delivery.otp = undefined;
+
+    res.json({
+      message: 'Order picked up',
+      order
+    });
+
+  } catch (error) {
+    console.error('Pickup order error:', error);
+    res.status(500).json({ message: 'Failed to mark order as picked up' });
+  }
+});
+
+// Mark an order as delivered against the customer's handover code; a doorstep
+// photo can be attached as additional proof
+router.post('/orders/:id/deliver', [
+  body('otp').matches(/^\d{4}$/).withMessage('4-digit handover code required'),
+  body('photoUrl').optional().isURL().withMessage('Valid photo URL required')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { otp, photoUrl } = req.body;
+
+    const order = await findAssignedOrder(req.params.id, req.user._id, '+delivery.otp');
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (!order.canTransitionTo('delivered', 'delivery_partner')) {
+      return res.status(409).json({
+        message: 'Order is not out for delivery',
+        currentStatus: order.status
+      });
+    }
+
+    const actor = { role: 'delivery_partner', user: req.user._id };
+
+    const check = await order.verifyHandoverCode(otp, actor);
+    if (!check.ok) {
+      await order.save();
+      const failure = handoverFailureResponse(check);
+      return res.status(failure.status).json(failure.body);
+    }
+
+    order.delivery.proof = {
+      otpVerified: true,
+      photoUrl,
+      recordedAt: new Date()
+    };
+    order.updateStatus('delivered', 'Delivered by delivery partner', actor);
+    await order.save();
+
+    res.json({
+      message: 'Order delivered',
+      order
+    });
+
+  } catch (error) {
+    console.error('Deliver order error:', error);
+    res.status(500).json({ message: 'Failed to mark order as delivered' });
+  }
+});
+
+module.exports = router;
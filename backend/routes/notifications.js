@@ -0,0 +1,162 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getProvider } = require('../services/notifications');
+const { authenticateToken } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Register a device push token for the current user
+router.post('/push-tokens', [
+  authenticateToken,
+  body('token').isString().isLength({ min: 1 }).withMessage('Push token required'),
+  body('platform').optional().isIn(['ios', 'android', 'web']).withMessage('Invalid platform')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, platform } = req.body;
+
+    if (!getProvider().isValidToken(token)) {
+      return res.status(400).json({ message: 'Invalid push token' });
+    }
+
+    // A device belongs to one account at a time
+    await User.updateMany(
+      { _id: { $ne: req.user._id }, 'pushTokens.token': token },
+      { $pull: { pushTokens: { token } } }
+    );
+
+    const user = await User.findById(req.user._id);
+    user.addPushToken(token, platform);
+    await user.save();
+
+    res.json({ message: 'Push token registered' });
+
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({ message: 'Failed to register push token' });
+  }
+});
+
+// Remove a device push token (e.g. on logout)
+router.delete('/push-tokens', [
+  authenticateToken,
+  body('token').isString().isLength({ min: 1 }).withMessage('Push token required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    user.removePushToken(req.body.token);
+    await user.save();
+
+    res.json({ message: 'Push token removed' });
+
+  } catch (error) {
+    console.error('Remove push token error:', error);
+    res.status(500).json({ message: 'Failed to remove push token' });
+  }
+});
+
+// Update notification preferences
+router.put('/preferences', [
+  authenticateToken,
+  body('notifications').optional().isBoolean().withMessage('notifications must be a boolean'),
+  body('notificationTypes.orders').optional().isBoolean().withMessage('orders must be a boolean'),
+  body('notificationTypes.inventory').optional().isBoolean().withMessage('inventory must be a boolean'),
+  body('notificationTypes.refunds').optional().isBoolean().withMessage('refunds must be a boolean')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { notifications, notificationTypes = {} } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (notifications !== undefined) {
+      user.preferences.notifications = notifications;
+    }
+    ['orders', 'inventory', 'refunds'].forEach(category => {
+      if (notificationTypes[category] !== undefined) {
+        user.preferences.notificationTypes[category] = notificationTypes[category];
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      message: 'Notification preferences updated',
+      preferences: user.preferences
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Failed to update notification preferences' });
+  }
+});
+
+// Get the current user's notification history
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const query = { user: req.user._id, status: { $ne: 'skipped' } };
+
+    const notifications = await Notification.find(query)
+      .select('template category title body data status sentAt readAt createdAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(query);
+
+    res.json({
+      notifications,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / parseInt(limit)),
+        totalNotifications: total,
+        hasNext: skip + notifications.length < total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Failed to get notifications' });
+  }
+});
+
+// Mark a notification as read
+router.patch('/:id/read', authenticateToken, async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    );
+
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    res.json({ notification });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Failed to update notification' });
+  }
+});
+
+module.exports = router;
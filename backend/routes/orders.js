@@ -1,39 +1,271 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const Store = require('../models/Store');
-const { authenticateToken, requireUserType, requireStoreOwnership } = require('../middlewares/auth');
+const Counter = require('../models/Counter');
+const { createIntentForOrders } = require('../services/payments');
+const { refundCancelledOrder } = require('../services/refunds');
+const { evaluateCoupon, reserveCouponUse, releaseCouponUse, recordRedemption, releaseOrderCoupon } = require('../services/coupons');
+const { calculateGst } = require('../services/tax');
+const { renderInvoiceHtml } = require('../services/invoice');
+const orderEvents = require('../services/orderEvents');
+const { handoverFailureResponse } = require('../services/handover');
+const { isProductAvailableFor, checkServiceability } = require('../services/serviceability');
+const { calculateDeliveryFee } = require('../services/deliveryFee');
+const { findSlot, reserveSlot, releaseSlot, releaseOrderSlot, getEstimatedTime } = require('../services/slots');
+const { can, loaders } = require('../services/policy');
+const {
+  authenticateToken,
+  requireUserType,
+  requireStoreAccess,
+  authorize,
+  generateInvoiceToken,
+  authenticateInvoiceAccess
+} = require('../middlewares/auth');
 
 const router = express.Router();
 
+// Conditionally decrement stock for every item inside the given session.
+// Returns the items that could not be reserved (empty when all succeeded).
+const reserveStock = async (items, session) => {
+  const conflicts = [];
+
+  for (const item of items) {
+    if (!item.trackStock) {
+      continue;
+    }
+
+    const reserved = await Product.findOneAndUpdate(
+      { _id: item.product, 'inventory.stock': { $gte: item.quantity } },
+      { $inc: { 'inventory.stock': -item.quantity } },
+      { session }
+    );
+
+    if (!reserved) {
+      const current = await Product.findById(item.product)
+        .select('inventory.stock')
+        .session(session);
+
+      conflicts.push({
+        product: item.product,
+        name: item.productSnapshot.name,
+        requested: item.quantity,
+        available: current ? current.inventory.stock : 0
+      });
+    }
+  }
+
+  return conflicts;
+};
+
+// Order numbers come from counters, but legacy numbers can still collide with
+// the unique index, and a new store's counter may be created by two orders at
+// once; such saves are retried with fresh numbers
+const MAX_ORDER_NUMBER_ATTEMPTS = 3;
+
+const isOrderNumberConflict = (error) => Counter.isCreateConflict(error) || (error.code === 11000 &&
+  Boolean(error.keyPattern) && Boolean(error.keyPattern.orderNumber || error.keyPattern.storeOrderNumber));
+
+// Place one store order atomically: stock reservation, order creation and
+// store stats either all commit or all roll back.
+const placeStoreOrder = async (orderData, session) => {
+  for (let attempt = 1; ; attempt++) {
+    let result;
+
+    try {
+      await session.withTransaction(async () => {
+        const conflicts = await reserveStock(orderData.items, session);
+        if (conflicts.length > 0) {
+          result = { conflicts };
+          await session.abortTransaction();
+          return;
+        }
+
+        const order = new Order({
+          ...orderData,
+          items: orderData.items.map(({ trackStock, taxInfo, ...item }) => item)
+        });
+        await order.save({ session });
+
+        await Store.findByIdAndUpdate(orderData.store, {
+          $inc: {
+            'stats.totalOrders': 1,
+            'stats.totalRevenue': order.pricing.total
+          }
+        }, { session });
+
+        result = { order };
+      });
+
+      return result;
+    } catch (error) {
+      if (!isOrderNumberConflict(error) || attempt >= MAX_ORDER_NUMBER_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Cancel an order in one transaction: its slot, tracked stock and the store
+// stats counted at checkout are given back. Only the order's current status
+// is claimed, so a concurrent cancel cannot give them back twice. Returns
+// false when the order changed in the meantime.
+// A coupon used on the order is released afterwards.
+const cancelOrder = async (order, note, actor) => {
+  const previousStatus = order.status;
+  const slotReleased = Boolean(order.delivery.slot && order.delivery.slot.released);
+  order.updateStatus('cancelled', note, actor);
+
+  const session = await mongoose.startSession();
+  let cancelled = false;
+
+  try {
+    await session.withTransaction(async () => {
+      const claimed = await Order.updateOne(
+        { _id: order._id, status: previousStatus },
+        { $set: { status: 'cancelled' } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) {
+        await session.abortTransaction();
+        return;
+      }
+
+      // A retried transaction starts over with the slot still held
+      if (order.delivery.slot) {
+        order.delivery.slot.released = slotReleased;
+      }
+      await releaseOrderSlot(order, session);
+      await order.save({ session });
+
+      // Revenue refunded later on a cancelled order is not taken off again
+      await Store.updateOne({ _id: order.store._id || order.store }, {
+        $inc: {
+          'stats.totalOrders': -1,
+          'stats.totalRevenue': -order.getRefundableAmount()
+        }
+      }, { session });
+
+      // Products that do not track stock were never decremented
+      for (const item of order.items) {
+        await Product.updateOne(
+          { _id: item.product, 'inventory.trackStock': true },
+          { $inc: { 'inventory.stock': item.quantity } },
+          { session }
+        );
+      }
+
+      cancelled = true;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (cancelled) {
+    await releaseOrderCoupon(order);
+  }
+
+  return cancelled;
+};
+
 // Create order from cart
 router.post('/checkout', [
   authenticateToken,
   requireUserType('customer'),
   body('deliveryType').isIn(['pickup', 'delivery']).withMessage('Valid delivery type required'),
-  body('deliveryAddress').optional().isObject().withMessage('Valid delivery address required')
+  body('deliveryAddress').optional().isObject().withMessage('Valid delivery address required'),
+  body('deliveryAddress.coordinates.latitude')
+    .if(body('deliveryType').equals('delivery'))
+    .isFloat({ min: -90, max: 90 }).withMessage('Delivery location latitude required'),
+  body('deliveryAddress.coordinates.longitude')
+    .if(body('deliveryType').equals('delivery'))
+    .isFloat({ min: -180, max: 180 }).withMessage('Delivery location longitude required'),
+  body('paymentMethod').optional().isIn(['cod', 'online']).withMessage('Valid payment method required'),
+  body('slots').optional().isObject().withMessage('Slots must map store IDs to slot start times'),
+  body('slots.*').isISO8601().withMessage('Slot start must be an ISO 8601 date')
 ], async (req, res) => {
+  // Kept outside the try so a failed checkout can settle a reserved coupon use
+  const orders = [];
+  let couponRedemption = null;
+
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { deliveryType, deliveryAddress, notes } = req.body;
+    const { deliveryType, notes, paymentMethod = 'cod', slots = {} } = req.body;
+
+    // Delivery addresses come with { latitude, longitude }; orders store GeoJSON
+    let deliveryAddress;
+    let deliveryLocation;
+    if (deliveryType === 'delivery') {
+      const { coordinates, ...address } = req.body.deliveryAddress;
+      deliveryLocation = {
+        latitude: parseFloat(coordinates.latitude),
+        longitude: parseFloat(coordinates.longitude)
+      };
+      deliveryAddress = {
+        ...address,
+        coordinates: {
+          type: 'Point',
+          coordinates: [deliveryLocation.longitude, deliveryLocation.latitude]
+        }
+      };
+    }
 
     // Get user's cart
     const cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product', 'name pricing images status inventory store');
+      .populate('items.product', 'name pricing images status inventory store tax availability');
 
     if (!cart || cart.items.length === 0) {
       return res.status(400).json({ message: 'Cart is empty' });
     }
 
+    const skipped = [];
+    const unserviceable = [];
+
+    // Record an item that could not be ordered; it stays in the cart
+    const skipItem = (item, reason, details = {}) => {
+      skipped.push({
+        product: item.product ? item.product._id : null,
+        name: item.product ? item.product.name : null,
+        quantity: item.quantity,
+        reason,
+        ...details
+      });
+    };
+
+    // Refuse to charge stale prices; the customer must confirm them first
+    const priceChanges = cart.getPriceChanges();
+    if (priceChanges.length > 0) {
+      cart.items.forEach(item => {
+        const change = item.product &&
+          priceChanges.find(change => change.product.equals(item.product._id));
+        if (change) {
+          skipItem(item, 'price_changed', { oldPrice: change.oldPrice, newPrice: change.newPrice });
+        }
+      });
+
+      return res.status(409).json({
+        message: 'Prices have changed since items were added to cart',
+        reason: 'price_changed',
+        priceChanges,
+        skipped
+      });
+    }
+
     // Group items by store
     const storeGroups = {};
     cart.items.forEach(item => {
+      if (!item.product) {
+        skipItem(item, 'product_inactive');
+        return;
+      }
+
       const storeId = item.product.store.toString();
       if (!storeGroups[storeId]) {
         storeGroups[storeId] = [];
@@ -41,13 +273,13 @@ router.post('/checkout', [
       storeGroups[storeId].push(item);
     });
 
-    const orders = [];
-
-    // Create order for each store
+    // Validate items and build one draft order per store
+    const drafts = [];
     for (const [storeId, items] of Object.entries(storeGroups)) {
       const store = await Store.findById(storeId);
       if (!store || !store.isActive) {
-        continue; // Skip inactive stores
+        items.forEach(item => skipItem(item, 'store_inactive', { store: storeId }));
+        continue;
       }
 
       // Validate all items are available
@@ -58,11 +290,21 @@ router.post('/checkout', [
         const product = item.product;
         
         if (product.status !== 'active') {
-          continue; // Skip inactive products
+          skipItem(item, 'product_inactive', { store: storeId });
+          continue;
+        }
+
+        if (!isProductAvailableFor(product, deliveryType)) {
+          skipItem(item, 'product_unavailable_for_mode', { store: storeId, deliveryType });
+          continue;
         }
 
         if (product.inventory.trackStock && product.inventory.stock < item.quantity) {
-          continue; // Skip out of stock items
+          skipItem(item, 'insufficient_stock', {
+            store: storeId,
+            available: product.inventory.stock
+          });
+          continue;
         }
 
         const itemTotal = item.price * item.quantity;
@@ -78,84 +320,289 @@ router.post('/checkout', [
           },
           quantity: item.quantity,
           price: item.price,
-          total: itemTotal
+          total: itemTotal,
+          trackStock: product.inventory.trackStock,
+          taxInfo: product.tax
         });
       }
 
       if (validItems.length === 0) {
-        continue; // Skip if no valid items
+        continue;
+      }
+
+      // The store must serve this address and mode for what is being ordered
+      const serviceability = checkServiceability({
+        store,
+        deliveryType,
+        location: deliveryLocation,
+        subtotal
+      });
+      if (!serviceability.serviceable) {
+        unserviceable.push({
+          store: store._id,
+          storeName: store.name,
+          reasons: serviceability.reasons
+        });
+        continue;
+      }
+
+      // A scheduled order must name a slot the store still offers
+      let slot = null;
+      if (slots[storeId]) {
+        slot = findSlot(store, new Date(slots[storeId]));
+        if (!slot) {
+          unserviceable.push({
+            store: store._id,
+            storeName: store.name,
+            reasons: [{ code: 'slot_unavailable', message: 'The selected time slot is not available' }]
+          });
+          continue;
+        }
+      }
+
+      // Closed stores only take orders scheduled into one of their slots
+      if (!slot) {
+        const hours = store.getHoursStatus();
+        if (!hours.isOpen) {
+          unserviceable.push({
+            store: store._id,
+            storeName: store.name,
+            reasons: [{ code: 'store_closed', message: 'Store is closed', opensAt: hours.opensAt }]
+          });
+          continue;
+        }
       }
 
       // Calculate delivery fee
       let deliveryFee = 0;
+      let feeBreakdown;
       if (deliveryType === 'delivery') {
-        deliveryFee = store.services.deliveryFee || 0;
+        const quote = calculateDeliveryFee({
+          services: store.services,
+          distance: serviceability.distance,
+          subtotal,
+          at: slot ? slot.start : undefined,
+          timezone: store.timezone
+        });
+        deliveryFee = quote.fee;
+        feeBreakdown = quote.breakdown;
       }
 
-      // Calculate total
-      const total = subtotal + deliveryFee;
-
-      // Create order
-      const order = new Order({
-        customer: req.user._id,
-        store: storeId,
+      drafts.push({
+        store,
         items: validItems,
-        delivery: {
-          type: deliveryType,
-          address: deliveryAddress,
-          fee: deliveryFee
-        },
-        pricing: {
-          subtotal,
-          deliveryFee,
-          total
-        },
-        notes: {
-          customer: notes
-        }
+        subtotal,
+        deliveryFee,
+        feeBreakdown,
+        distance: serviceability.distance,
+        slot,
+        discount: 0
       });
+    }
 
-      await order.save();
+    // Re-check the cart coupon against what is actually being ordered
+    let appliedCoupon = null;
+    if (cart.couponCode && drafts.length > 0) {
+      const storeSubtotals = {};
+      drafts.forEach(draft => {
+        storeSubtotals[draft.store._id.toString()] = draft.subtotal;
+      });
 
-      // Update product stock
-      for (const item of validItems) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { 'inventory.stock': -item.quantity }
+      const evaluation = await evaluateCoupon(cart.couponCode, req.user._id, storeSubtotals);
+      const reservation = evaluation.error ? evaluation : await reserveCouponUse(evaluation.coupon, req.user._id);
+      if (reservation.error) {
+        return res.status(409).json({
+          message: 'Coupon can no longer be applied',
+          reason: 'coupon_invalid',
+          coupon: reservation.error
         });
       }
 
-      // Update store stats
-      await Store.findByIdAndUpdate(storeId, {
-        $inc: { 
-          'stats.totalOrders': 1,
-          'stats.totalRevenue': total
-        }
+      appliedCoupon = evaluation.coupon;
+      couponRedemption = reservation.redemption;
+      drafts.forEach(draft => {
+        draft.discount = evaluation.allocations[draft.store._id.toString()] || 0;
+      });
+    }
+
+    const failed = [];
+    const orderedProducts = [];
+
+    // Create order for each store
+    for (const draft of drafts) {
+      const { store, items: validItems, subtotal, deliveryFee, feeBreakdown, distance, slot, discount } = draft;
+
+      // Hold a place in the slot before placing the order; released again if it fails
+      if (slot && !(await reserveSlot(store, slot))) {
+        unserviceable.push({
+          store: store._id,
+          storeName: store.name,
+          reasons: [{ code: 'slot_full', message: 'The selected time slot is fully booked' }]
+        });
+        continue;
+      }
+
+      // GST is computed on the discounted value of the goods
+      const gst = calculateGst({
+        items: validItems.map(item => ({ total: item.total, tax: item.taxInfo })),
+        discount,
+        store,
+        deliveryType,
+        deliveryAddress
+      });
+      validItems.forEach((item, index) => {
+        item.tax = gst.items[index];
       });
+      const tax = gst.additionalTax;
+
+      // Calculate total
+      const total = subtotal + deliveryFee + tax - discount;
+
+      const session = await mongoose.startSession();
+      let result;
+      try {
+        result = await placeStoreOrder({
+          customer: req.user._id,
+          store: store._id,
+          items: validItems,
+          delivery: {
+            type: deliveryType,
+            address: deliveryAddress,
+            fee: deliveryFee,
+            feeBreakdown,
+            distance,
+            slot: slot ? { start: slot.start, end: slot.end } : undefined,
+            estimatedTime: getEstimatedTime(store, deliveryType, slot)
+          },
+          payment: {
+            method: paymentMethod
+          },
+          pricing: {
+            subtotal,
+            deliveryFee,
+            tax,
+            discount,
+            total
+          },
+          taxBreakdown: gst.breakdown,
+          ...(discount > 0 && {
+            coupon: {
+              couponId: appliedCoupon._id,
+              code: appliedCoupon.code
+            }
+          }),
+          notes: {
+            customer: notes
+          }
+        }, session);
+      } catch (error) {
+        if (slot) {
+          await releaseSlot(store, slot);
+        }
+        throw error;
+      } finally {
+        await session.endSession();
+      }
+
+      if (result.conflicts) {
+        if (slot) {
+          await releaseSlot(store, slot);
+        }
+        failed.push({
+          store: store._id,
+          storeName: store.name,
+          conflicts: result.conflicts
+        });
+        continue;
+      }
 
-      orders.push(order);
+      orders.push(result.order);
+      orderEvents.emit('created', result.order);
+      orderedProducts.push(...validItems.map(item => item.product.toString()));
+    }
+
+    // Coupon usage only counts when an order actually carries the discount
+    if (couponRedemption) {
+      const redemption = couponRedemption;
+      couponRedemption = null;
+      const discountedOrders = orders.filter(order => order.pricing.discount > 0);
+      if (discountedOrders.length > 0) {
+        await recordRedemption(redemption, discountedOrders);
+        cart.couponCode = undefined;
+      } else {
+        await releaseCouponUse(redemption);
+      }
     }
 
     if (orders.length === 0) {
-      return res.status(400).json({ message: 'No valid items to order' });
+      if (unserviceable.length > 0) {
+        return res.status(409).json({
+          message: 'Stores in your cart cannot fulfil this order',
+          reason: 'unserviceable',
+          unserviceable,
+          failed,
+          skipped
+        });
+      }
+      if (failed.length > 0) {
+        return res.status(409).json({
+          message: 'Items could not be reserved',
+          failed,
+          skipped
+        });
+      }
+      return res.status(400).json({ message: 'No valid items to order', skipped });
     }
 
-    // Clear cart
-    cart.clearCart();
+    // Remove ordered items from cart, keeping skipped and failed ones
+    cart.items = cart.items.filter(item =>
+      !item.product || !orderedProducts.includes(item.product._id.toString())
+    );
     await cart.save();
 
+    // Online orders share one payment intent; if the gateway is unavailable the
+    // orders stay pending and the intent can be retried via /api/payments/intent
+    let payment = null;
+    if (paymentMethod === 'online') {
+      try {
+        payment = await createIntentForOrders(orders);
+      } catch (paymentError) {
+        console.error('Create payment intent error:', paymentError);
+      }
+    }
+
     res.status(201).json({
-      message: 'Orders created successfully',
+      message: failed.length > 0 || skipped.length > 0 || unserviceable.length > 0
+        ? 'Some items could not be ordered'
+        : 'Orders created successfully',
       orders: orders.map(order => ({
         id: order._id,
         orderNumber: order.orderNumber,
+        storeOrderNumber: order.storeOrderNumber,
         store: order.store,
         total: order.pricing.total,
+        discount: order.pricing.discount,
         status: order.status
-      }))
+      })),
+      coupon: appliedCoupon && orders.some(order => order.pricing.discount > 0)
+        ? appliedCoupon.code
+        : null,
+      payment,
+      skipped,
+      failed,
+      unserviceable
     });
 
   } catch (error) {
     console.error('Create order error:', error);
+    // Orders placed before the failure keep the coupon; otherwise it is given back
+    if (couponRedemption) {
+      const discountedOrders = orders.filter(order => order.pricing.discount > 0);
+      const settle = discountedOrders.length > 0
+        ? recordRedemption(couponRedemption, discountedOrders)
+        : releaseCouponUse(couponRedemption);
+      await settle.catch(releaseError => console.error('Release coupon error:', releaseError));
+    }
     res.status(500).json({ message: 'Failed to create order' });
   }
 });
@@ -198,21 +645,23 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
 });
 
 // Get order details
-router.get('/:id', authenticateToken, async (req, res) => {
+router.get('/:id', [
+  authenticateToken,
+  authorize('order.read', loaders.orderWithOtp)
+], async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id)
-      .populate('customer', 'profile firstName lastName phone')
-      .populate('store', 'name address contact rating')
-      .populate('items.product', 'name pricing images');
-
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    // Check if user has access to this order
-    if (order.customer._id.toString() !== req.user._id.toString() && 
-        req.user.userType !== 'store_owner') {
-      return res.status(403).json({ message: 'Access denied' });
+    const order = await req.order.populate([
+      { path: 'customer', select: 'profile firstName lastName phone' },
+      { path: 'store', select: 'name address contact rating' },
+      { path: 'items.product', select: 'name pricing images' }
+    ]);
+
+    const isCustomer = order.customer._id.toString() === req.user._id.toString();
+
+    // The delivery OTP and an unpublished review are for the customer's eyes only
+    if (!isCustomer) {
+      order.delivery.otp = undefined;
+      order.hideUnpublishedReview();
     }
 
     res.json({ order });
@@ -227,9 +676,10 @@ router.get('/:id', authenticateToken, async (req, res) => {
 router.patch('/:id/status', [
   authenticateToken,
   requireUserType('store_owner'),
-  requireStoreOwnership,
+  authorize('order.updateStatus', loaders.orderWithOtp),
   body('status').isIn(['pending', 'confirmed', 'preparing', 'ready', 'out_for_delivery', 'delivered', 'cancelled']).withMessage('Valid status required'),
-  body('note').optional().isString().withMessage('Note must be a string')
+  body('note').optional().isString().withMessage('Note must be a string'),
+  body('otp').optional().matches(/^\d{4}$/).withMessage('4-digit handover code required')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -237,21 +687,51 @@ router.patch('/:id/status', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { status, note } = req.body;
+    const { status, note, otp } = req.body;
 
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
+    const order = req.order;
+
+    // Packers only move orders through preparing and ready; cancelling is for managers
+    const action = status === 'cancelled'
+      ? 'order.reject'
+      : (['preparing', 'ready'].includes(status) ? 'order.prepare' : 'order.fulfil');
+    if (!(await can(req.user, action, order, req.storeMember))) {
+      return res.status(403).json({ message: `Access denied. Your store role cannot mark orders ${status}.` });
     }
 
-    // Check if order belongs to user's store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store || order.store.toString() !== store._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    if (!order.canTransitionTo(status, 'store_owner')) {
+      return res.status(409).json({
+        message: `Cannot change order status from ${order.status} to ${status}`,
+        currentStatus: order.status,
+        allowedStatuses: order.getAllowedTransitions('store_owner')
+      });
     }
 
-    order.updateStatus(status, note);
-    await order.save();
+    const actor = { role: 'store_owner', user: req.user._id };
+
+    // Orders are only handed over against the customer's code
+    if (status === 'delivered') {
+      if (!otp) {
+        return res.status(400).json({ message: 'Handover code required', reason: 'code_required' });
+      }
+
+      const check = await order.verifyHandoverCode(otp, actor);
+      if (!check.ok) {
+        await order.save();
+        const failure = handoverFailureResponse(check);
+        return res.status(failure.status).json(failure.body);
+      }
+    }
+
+    if (status === 'cancelled') {
+      if (!(await cancelOrder(order, note, actor))) {
+        return res.status(409).json({ message: 'Order was updated meanwhile, please retry' });
+      }
+      await refundCancelledOrder(order, note || 'Cancelled by store');
+    } else {
+      order.updateStatus(status, note, actor);
+      await order.save();
+    }
 
     res.json({
       message: 'Order status updated successfully',
@@ -273,36 +753,33 @@ router.patch('/:id/status', [
 router.patch('/:id/cancel', [
   authenticateToken,
   requireUserType('customer'),
+  authorize('order.cancel', loaders.order),
   body('reason').optional().isString().withMessage('Reason must be a string')
 ], async (req, res) => {
   try {
     const { reason } = req.body;
 
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    // Check if order belongs to user
-    if (order.customer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const order = req.order;
 
     // Check if order can be cancelled
-    if (['delivered', 'cancelled', 'refunded'].includes(order.status)) {
-      return res.status(400).json({ message: 'Order cannot be cancelled' });
+    if (!order.canTransitionTo('cancelled', 'customer')) {
+      return res.status(409).json({
+        message: 'Order cannot be cancelled',
+        currentStatus: order.status,
+        allowedStatuses: order.getAllowedTransitions('customer')
+      });
     }
 
-    order.updateStatus('cancelled', reason || 'Cancelled by customer');
-    await order.save();
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { 'inventory.stock': item.quantity }
-      });
+    const cancelled = await cancelOrder(order, reason || 'Cancelled by customer', {
+      role: 'customer',
+      user: req.user._id
+    });
+    if (!cancelled) {
+      return res.status(409).json({ message: 'Order was updated meanwhile, please retry' });
     }
 
+    await refundCancelledOrder(order, reason || 'Cancelled by customer');
+
     res.json({
       message: 'Order cancelled successfully',
       order: {
@@ -322,6 +799,7 @@ router.patch('/:id/cancel', [
 router.post('/:id/rating', [
   authenticateToken,
   requireUserType('customer'),
+  authorize('order.rate', loaders.order),
   body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be between 1 and 5'),
   body('review').optional().isString().withMessage('Review must be a string')
 ], async (req, res) => {
@@ -333,15 +811,7 @@ router.post('/:id/rating', [
 
     const { rating, review } = req.body;
 
-    const order = await Order.findById(req.params.id);
-    if (!order) {
-      return res.status(404).json({ message: 'Order not found' });
-    }
-
-    // Check if order belongs to user
-    if (order.customer.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const order = req.order;
 
     // Check if order is delivered
     if (order.status !== 'delivered') {
@@ -379,21 +849,73 @@ router.post('/:id/rating', [
   }
 });
 
+// Get printable invoice for a delivered order
+router.get('/:id/invoice', authenticateInvoiceAccess, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('customer', 'profile phone')
+      .populate('store', 'name address contact businessDetails');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Shared links stand in for a login
+    if (!req.invoiceLink && !(await can(req.user, 'order.invoice', order))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Refunded orders keep their invoice only if they were delivered first
+    if (!order.wasDelivered()) {
+      return res.status(400).json({ message: 'Invoice is available once the order is delivered' });
+    }
+
+    await order.assignInvoiceNumber();
+
+    res.type('html').send(renderInvoiceHtml(order));
+
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ message: 'Failed to generate invoice' });
+  }
+});
+
+// Create a shareable invoice link valid for 24 hours
+router.post('/:id/invoice/link', [
+  authenticateToken,
+  authorize('order.invoice', loaders.order)
+], async (req, res) => {
+  try {
+    const order = req.order;
+
+    // Refunded orders keep their invoice only if they were delivered first
+    if (!order.wasDelivered()) {
+      return res.status(400).json({ message: 'Invoice is available once the order is delivered' });
+    }
+
+    const token = generateInvoiceToken(order._id);
+
+    res.json({
+      url: `${req.protocol}://${req.get('host')}${req.baseUrl}/${order._id}/invoice?token=${token}`,
+      expiresIn: '24h'
+    });
+
+  } catch (error) {
+    console.error('Create invoice link error:', error);
+    res.status(500).json({ message: 'Failed to create invoice link' });
+  }
+});
+
 // Get store orders (store owners only)
 router.get('/store/orders', [
   authenticateToken,
   requireUserType('store_owner'),
-  requireStoreOwnership
+  requireStoreAccess('order.list')
 ], async (req, res) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store) {
-      return res.status(404).json({ message: 'Store not found' });
-    }
-
-    let query = { store: store._id };
+    let query = { store: req.store._id };
     if (status) {
       query.status = status;
     }
@@ -406,6 +928,8 @@ router.get('/store/orders', [
       .skip(skip)
       .limit(parseInt(limit));
 
+    orders.forEach(order => order.hideUnpublishedReview());
+
     const total = await Order.countDocuments(query);
 
     res.json({
@@ -0,0 +1,127 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const { getGateway, createIntentForOrders, applyPaymentEvent } = require('../services/payments');
+const { refundCancelledOrder } = require('../services/refunds');
+const { authenticateToken, requireUserType } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Create (or re-create) a payment intent for unpaid online orders
+router.post('/intent', [
+  authenticateToken,
+  requireUserType('customer'),
+  body('orderIds').isArray({ min: 1 }).withMessage('Order IDs required'),
+  body('orderIds.*').isMongoId().withMessage('Valid order ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderIds } = req.body;
+
+    const orders = await Order.find({
+      _id: { $in: orderIds },
+      customer: req.user._id
+    });
+
+    if (orders.length !== orderIds.length) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    const unpayable = orders.filter(order =>
+      order.payment.method !== 'online' ||
+      !['pending', 'failed'].includes(order.payment.status) ||
+      order.status === 'cancelled'
+    );
+    if (unpayable.length > 0) {
+      return res.status(400).json({
+        message: 'Some orders cannot be paid online',
+        orders: unpayable.map(order => order.orderNumber)
+      });
+    }
+
+    const payment = await createIntentForOrders(orders);
+
+    res.status(201).json({
+      message: 'Payment intent created successfully',
+      payment
+    });
+
+  } catch (error) {
+    console.error('Create payment intent error:', error);
+    res.status(502).json({ message: 'Failed to create payment intent' });
+  }
+});
+
+// Gateway webhooks (called by the payment provider, authenticated by signature)
+router.post('/webhooks/:gateway', async (req, res) => {
+  try {
+    const gateway = getGateway(req.params.gateway);
+    if (!gateway) {
+      return res.status(404).json({ message: 'Unknown payment gateway' });
+    }
+
+    if (!gateway.verifyWebhookSignature(req.rawBody, req.headers)) {
+      return res.status(401).json({ message: 'Invalid webhook signature' });
+    }
+
+    const event = gateway.parseWebhookEvent(req.body, req.headers);
+    const result = await applyPaymentEvent(gateway.name, event);
+
+    // Money captured after the customer cancelled goes straight back. Checked
+    // on every delivery of the event, so a refund that errored is retried with it.
+    if (event && event.status === 'paid' && event.transactionId) {
+      const cancelledOrders = await Order.find({
+        'payment.gateway': gateway.name,
+        'payment.transactionId': event.transactionId,
+        'payment.status': 'paid',
+        status: 'cancelled'
+      });
+      for (const order of cancelledOrders) {
+        await refundCancelledOrder(order, 'Payment received after the order was cancelled');
+      }
+    }
+
+    // Always acknowledge verified events so the gateway stops retrying
+    res.json({ received: true, updated: result.modified });
+
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({ message: 'Failed to process webhook' });
+  }
+});
+
+// Get payment status of an order
+router.get('/orders/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const order = await Order.findById(req.params.id)
+      .select('orderNumber customer payment.method payment.status payment.gateway payment.intentId payment.paidAt payment.failureReason');
+
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    if (order.customer.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      orderNumber: order.orderNumber,
+      payment: order.payment
+    });
+
+  } catch (error) {
+    console.error('Get payment status error:', error);
+    res.status(500).json({ message: 'Failed to get payment status' });
+  }
+});
+
+module.exports = router;
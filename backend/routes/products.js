@@ -1,13 +1,29 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
 const Store = require('../models/Store');
-const { authenticateToken, requireUserType, requireVerified, requireStoreOwnership } = require('../middlewares/auth');
+const { GST_RATES } = require('../services/tax');
+const { SORTS: SEARCH_SORTS, searchProducts } = require('../services/productSearch');
+const { can, loaders } = require('../services/policy');
+const { buildUpdate } = require('../services/bodyUpdates');
+const { authenticateToken, requireUserType, requireVerified, requireStoreAccess, authorize } = require('../middlewares/auth');
 const cloudinary = require('cloudinary').v2;
 
 const router = express.Router();
 
+// Fields customers see in a listing; changing them needs another moderation pass
+const LISTING_FIELDS = ['name', 'description', 'brand', 'images', 'tags'];
+// Fields only store roles with pricing rights may change
+const PRICING_FIELDS = ['pricing', 'tax'];
+// Fields store roles may set on POST / and change through PUT /:id; moderation
+// and featuring are decided by admins, rating comes from customers, and store
+// never changes so a product cannot move to another tenant
+const EDITABLE_FIELDS = [
+  ...LISTING_FIELDS, ...PRICING_FIELDS, 'category', 'subcategory', 'inventory', 'availability',
+  'specifications', 'status', 'seo'
+];
+
 // Configure Cloudinary
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -86,34 +102,74 @@ router.get('/', async (req, res) => {
   }
 });
 
-// Search products
-router.get('/search', async (req, res) => {
+// Search products across stores, nearest offers first when a location is given
+router.get('/search', [
+  query('q').trim().isLength({ min: 1 }).withMessage('Search query required'),
+  query('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude')
+    .if(query('latitude').exists())
+    .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be between 0.1 and 50 km'),
+  query('store').optional().isMongoId().withMessage('Valid store ID required'),
+  query('category').optional().isMongoId().withMessage('Valid category ID required'),
+  query('brand').optional().isString(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('Valid minimum price required'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('Valid maximum price required'),
+  query('deliveryType').optional().isIn(['pickup', 'delivery']).withMessage('Valid delivery type required'),
+  query('inStock').optional().isBoolean().withMessage('inStock must be a boolean'),
+  query('sort').optional().isIn(Object.keys(SEARCH_SORTS)).withMessage('Invalid sort'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Valid page required'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
   try {
-    const { q, store, category, limit = 20 } = req.query;
-
-    if (!q) {
-      return res.status(400).json({ message: 'Search query required' });
-    }
-
-    let query = {
-      $text: { $search: q },
-      status: 'active'
-    };
-
-    if (store) {
-      query.store = store;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (category) {
-      query.category = category;
-    }
+    const {
+      q,
+      latitude,
+      longitude,
+      radius,
+      store,
+      category,
+      brand,
+      minPrice,
+      maxPrice,
+      deliveryType,
+      sort,
+      page = 1,
+      limit = 20
+    } = req.query;
 
-    const products = await Product.find(query)
-      .populate('store', 'name address.city rating')
-      .populate('category', 'name slug')
-      .limit(parseInt(limit));
+    const result = await searchProducts({
+      q,
+      coordinates: latitude !== undefined ? [parseFloat(longitude), parseFloat(latitude)] : undefined,
+      radius: radius !== undefined ? parseFloat(radius) : undefined,
+      store,
+      category,
+      brand,
+      minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+      maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+      deliveryType,
+      inStock: req.query.inStock !== 'false',
+      sort,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
 
-    res.json({ products });
+    res.json({
+      products: result.products,
+      facets: result.facets,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(result.total / parseInt(limit)),
+        totalProducts: result.total,
+        hasNext: parseInt(page) * parseInt(limit) < result.total,
+        hasPrev: parseInt(page) > 1
+      }
+    });
 
   } catch (error) {
     console.error('Search products error:', error);
@@ -145,13 +201,16 @@ router.post('/', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership,
+  requireStoreAccess('product.create'),
   body('name').isLength({ min: 1 }).withMessage('Product name required'),
   body('category').isMongoId().withMessage('Valid category required'),
   body('pricing.basePrice').isFloat({ min: 0 }).withMessage('Valid base price required'),
   body('pricing.sellingPrice').isFloat({ min: 0 }).withMessage('Valid selling price required'),
   body('pricing.unit').isIn(['kg', 'g', 'l', 'ml', 'piece', 'pack', 'dozen', 'box']).withMessage('Valid unit required'),
-  body('inventory.stock').isInt({ min: 0 }).withMessage('Valid stock quantity required')
+  body('inventory.stock').isInt({ min: 0 }).withMessage('Valid stock quantity required'),
+  body('tax.hsnCode').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4-8 digits'),
+  body('tax.gstRate').optional().isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('tax.priceIncludesTax').optional().isBoolean().withMessage('priceIncludesTax must be a boolean')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -165,15 +224,17 @@ router.post('/', [
       return res.status(400).json({ message: 'Category not found' });
     }
 
-    // Get store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store) {
-      return res.status(400).json({ message: 'Store not found' });
+    const store = req.store;
+
+    const { updates, error, field } = buildUpdate(req.body, EDITABLE_FIELDS);
+    if (error) {
+      return res.status(400).json({ message: error, field });
     }
 
     const productData = {
-      ...req.body,
-      store: store._id
+      ...updates,
+      store: store._id,
+      moderation: { status: 'pending' }
     };
 
     const product = new Product(productData);
@@ -200,23 +261,33 @@ router.put('/:id', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('product.update', loaders.product)
 ], async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
+    const product = req.product;
+
+    const { updates, fields, error, field } = buildUpdate(req.body, EDITABLE_FIELDS);
+    if (error) {
+      return res.status(400).json({ message: error, field });
     }
 
-    // Check if product belongs to user's store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store || product.store.toString() !== store._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    if (fields.some(name => PRICING_FIELDS.includes(name)) &&
+        !(await can(req.user, 'product.pricing', product, req.storeMember))) {
+      return res.status(403).json({ message: 'Access denied. Your store role cannot change pricing.' });
+    }
+
+    // Edited listings go back into the moderation queue; a rejected product
+    // stays inactive until an admin approves the changes
+    if (fields.some(name => LISTING_FIELDS.includes(name))) {
+      updates.moderation = { status: 'pending' };
+    }
+    if (product.moderation.status === 'rejected') {
+      updates.status = 'inactive';
     }
 
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -236,24 +307,15 @@ router.delete('/:id', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('product.delete', loaders.product)
 ], async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    // Check if product belongs to user's store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store || product.store.toString() !== store._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const product = req.product;
 
     await Product.findByIdAndDelete(req.params.id);
 
     // Update store product count
-    await Store.findByIdAndUpdate(store._id, {
+    await Store.findByIdAndUpdate(product.store, {
       $inc: { 'stats.totalProducts': -1 }
     });
 
@@ -270,19 +332,10 @@ router.post('/:id/upload-image', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('product.update', loaders.product)
 ], async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    // Check if product belongs to user's store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store || product.store.toString() !== store._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const product = req.product;
 
     const { imageData, isPrimary = false } = req.body;
 
@@ -327,7 +380,7 @@ router.patch('/:id/stock', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership,
+  authorize('product.stock', loaders.product),
   body('quantity').isInt().withMessage('Valid quantity required'),
   body('operation').isIn(['add', 'subtract', 'set']).withMessage('Valid operation required')
 ], async (req, res) => {
@@ -339,16 +392,7 @@ router.patch('/:id/stock', [
 
     const { quantity, operation } = req.body;
 
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      return res.status(404).json({ message: 'Product not found' });
-    }
-
-    // Check if product belongs to user's store
-    const store = await Store.findOne({ owner: req.user._id });
-    if (!store || product.store.toString() !== store._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const product = req.product;
 
     // Update stock based on operation
     switch (operation) {
@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { buildRefund, claimRefundItems, releaseRefundItems, saveClaimedRefund, processRefund } = require('../services/refunds');
+const { can, loaders } = require('../services/policy');
+const { authenticateToken, requireUserType, requireStoreAccess, authorize } = require('../middlewares/auth');
+
+const router = express.Router();
+
+// Request (customer) or issue (store owner) a refund for an order
+router.post('/', [
+  authenticateToken,
+  body('orderId').isMongoId().withMessage('Valid order ID required'),
+  body('reason').isLength({ min: 1 }).withMessage('Refund reason required'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { orderId, reason, items = [] } = req.body;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ message: 'Order not found' });
+    }
+
+    // Customers request refunds on their own orders, store managers issue them on their store's
+    const isCustomer = await can(req.user, 'refund.request', order);
+    const isStoreManager = !isCustomer && await can(req.user, 'refund.issue', order);
+
+    if (!isCustomer && !isStoreManager) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!['delivered', 'cancelled'].includes(order.status)) {
+      return res.status(400).json({ message: 'Only delivered or cancelled orders can be refunded' });
+    }
+
+    const draft = await buildRefund(order, items.map(item => ({
+      productId: item.productId,
+      quantity: parseInt(item.quantity)
+    })));
+    if (draft.errors) {
+      return res.status(400).json({ message: 'Invalid refund request', errors: draft.errors });
+    }
+
+    // The checks above read the order; claiming the quantities is what keeps
+    // concurrent requests from refunding the same items twice
+    if (!(await claimRefundItems(order, draft.items))) {
+      return res.status(409).json({ message: 'Some items were refunded meanwhile, please retry' });
+    }
+
+    let refund = new Refund({
+      order: order._id,
+      customer: order.customer,
+      store: order.store,
+      ...draft,
+      reason,
+      // Refunds issued by the store need no further approval
+      status: isStoreManager ? 'approved' : 'requested',
+      requestedBy: {
+        role: req.user.userType,
+        user: req.user._id
+      }
+    });
+    await saveClaimedRefund(refund);
+
+    if (refund.status === 'approved') {
+      refund = await processRefund(refund);
+    }
+
+    res.status(201).json({
+      message: refund.status === 'requested' ? 'Refund requested successfully' : 'Refund processed',
+      refund
+    });
+
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({ message: 'Failed to create refund' });
+  }
+});
+
+// Get customer's refunds
+router.get('/my-refunds', [
+  authenticateToken,
+  requireUserType('customer')
+], async (req, res) => {
+  try {
+    const refunds = await Refund.find({ customer: req.user._id })
+      .populate('order', 'orderNumber status')
+      .sort({ createdAt: -1 });
+
+    res.json({ refunds });
+
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ message: 'Failed to get refunds' });
+  }
+});
+
+// Get store refunds (store owners only)
+router.get('/store', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireStoreAccess('refund.list')
+], async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    let query = { store: req.store._id };
+    if (status) {
+      query.status = status;
+    }
+
+    const refunds = await Refund.find(query)
+      .populate('order', 'orderNumber status pricing.total')
+      .populate('customer', 'profile phone')
+      .sort({ createdAt: -1 });
+
+    res.json({ refunds });
+
+  } catch (error) {
+    console.error('Get store refunds error:', error);
+    res.status(500).json({ message: 'Failed to get store refunds' });
+  }
+});
+
+// Approve or reject a refund request (store owners only)
+router.patch('/:id/review', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  authorize('refund.review', loaders.refund),
+  body('decision').isIn(['approved', 'rejected']).withMessage('Valid decision required'),
+  body('note').optional().isString().withMessage('Note must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { decision, note } = req.body;
+
+    let refund = req.refund;
+
+    // Only one review can win; the other sees what it was decided
+    if (!(await refund.setReview(decision, req.user._id, note))) {
+      const current = await Refund.findById(refund._id).select('status');
+      return res.status(409).json({ message: `Refund is already ${current.status}` });
+    }
+
+    if (decision === 'approved') {
+      refund = await processRefund(refund);
+    } else {
+      await releaseRefundItems(refund);
+    }
+
+    res.json({
+      message: `Refund ${refund.status}`,
+      refund
+    });
+
+  } catch (error) {
+    console.error('Review refund error:', error);
+    res.status(500).json({ message: 'Failed to review refund' });
+  }
+});
+
+module.exports = router;
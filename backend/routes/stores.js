@@ -1,7 +1,20 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Store = require('../models/Store');
-const { authenticateToken, requireUserType, requireVerified, requireStoreOwnership } = require('../middlewares/auth');
+const Product = require('../models/Product');
+const StoreMember = require('../models/StoreMember');
+const User = require('../models/User');
+const { checkServiceability } = require('../services/serviceability');
+const { getSlotAvailability } = require('../services/slots');
+const { getLocalParts, isValidTimezone } = require('../services/timezone');
+const { getStoreTimezone } = require('../services/storeHours');
+const { SORTS, decodeCursor, findNearbyStores } = require('../services/storeDiscovery');
+const { KYC_DOCUMENT_TYPES, isValidGstin, isValidPan, getBusinessDetailsErrors } = require('../services/kyc');
+const { can, loaders } = require('../services/policy');
+const { buildUpdate } = require('../services/bodyUpdates');
+const accessEvents = require('../services/accessEvents');
+const { authenticateToken, requireUserType, requireVerified, authorize } = require('../middlewares/auth');
 const cloudinary = require('cloudinary').v2;
 
 const router = express.Router();
@@ -13,11 +26,74 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Get nearby stores
+const CATEGORIES = ['grocery', 'pharmacy', 'electronics', 'clothing', 'restaurant', 'general'];
+
+// Business details as they will be after an update, whether the body replaces
+// them whole or writes single paths such as 'businessDetails.gstin'
+const getUpdatedBusinessDetails = (store, updates) => {
+  const details = updates.businessDetails !== undefined
+    ? { ...updates.businessDetails }
+    : { ...store.toObject().businessDetails };
+
+  Object.keys(updates)
+    .filter(path => path.startsWith('businessDetails.'))
+    .forEach(path => {
+      details[path.slice('businessDetails.'.length)] = updates[path];
+    });
+
+  return details;
+};
+
+// Fields owners may set on POST / and store roles may change through PUT /:id.
+// Verification is decided by admins, ownership changes through members, code,
+// rating and stats are system-kept.
+const EDITABLE_FIELDS = [
+  'name', 'description', 'category', 'contact', 'address', 'businessDetails', 'images',
+  'services', 'timezone', 'operatingHours', 'holidays', 'slotSettings', 'isActive'
+];
+
+// bbox=minLng,minLat,maxLng,maxLat
+const parseBbox = (value) => {
+  const bbox = String(value).split(',').map(Number);
+  if (bbox.length !== 4 || bbox.some(Number.isNaN)) {
+    return null;
+  }
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const valid = minLng >= -180 && maxLng <= 180 && minLat >= -90 && maxLat <= 90 &&
+    minLng < maxLng && minLat < maxLat;
+  return valid ? bbox : null;
+};
+
+// Checked again by the schema; validated here to answer with a 400
+const businessDetailsValidators = [
+  body('businessDetails.gstin').optional({ checkFalsy: true }).custom(isValidGstin).withMessage('Valid GSTIN required'),
+  body('businessDetails.pan').optional({ checkFalsy: true }).custom(isValidPan).withMessage('Valid PAN required')
+];
+
+// Discover stores around a point, or inside a map region (bbox)
 router.get('/nearby', [
-  body('latitude').isFloat().withMessage('Valid latitude required'),
-  body('longitude').isFloat().withMessage('Valid longitude required'),
-  body('radius').optional().isInt({ min: 1, max: 50 }).withMessage('Radius must be between 1-50 km')
+  query('latitude')
+    .if(query('bbox').not().exists())
+    .isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude')
+    .if(query('bbox').not().exists())
+    .isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('latitude')
+    .if(query('bbox').exists())
+    .optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  query('longitude')
+    .if(query('bbox').exists())
+    .optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  query('radius').optional().isFloat({ min: 0.1, max: 50 }).withMessage('Radius must be between 0.1 and 50 km'),
+  query('bbox').optional().custom(value => Boolean(parseBbox(value)))
+    .withMessage('bbox must be minLng,minLat,maxLng,maxLat'),
+  query('category').optional().isIn(CATEGORIES).withMessage('Invalid category'),
+  query('openNow').optional().isBoolean().withMessage('openNow must be a boolean'),
+  query('delivery').optional().isBoolean().withMessage('delivery must be a boolean'),
+  query('minRating').optional().isFloat({ min: 0, max: 5 }).withMessage('minRating must be between 0 and 5'),
+  query('sort').optional().isIn(Object.keys(SORTS)).withMessage('Invalid sort'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().custom(value => Boolean(decodeCursor(value))).withMessage('Invalid cursor')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -25,42 +101,35 @@ router.get('/nearby', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { latitude, longitude, radius = 10, category } = req.query;
-    const maxDistance = radius * 1000; // Convert km to meters
+    const { latitude, longitude, radius, category, minRating, sort, limit, cursor } = req.query;
+    const bbox = req.query.bbox ? parseBbox(req.query.bbox) : undefined;
+
+    // Map views measure distance from the middle of the region unless told otherwise
+    const coordinates = latitude !== undefined && longitude !== undefined
+      ? [parseFloat(longitude), parseFloat(latitude)]
+      : [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+
+    const result = await findNearbyStores({
+      coordinates,
+      radius: radius !== undefined ? parseFloat(radius) : undefined,
+      bbox,
+      category,
+      delivery: req.query.delivery === 'true',
+      minRating: minRating !== undefined ? parseFloat(minRating) : undefined,
+      openNow: req.query.openNow === 'true',
+      sort,
+      limit: limit !== undefined ? parseInt(limit) : undefined,
+      cursor: cursor ? decodeCursor(cursor) : undefined
+    });
 
-    let query = {
-      isActive: true,
-      'address.coordinates': {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(longitude), parseFloat(latitude)]
-          },
-          $maxDistance: maxDistance
-        }
+    res.json({
+      stores: result.stores,
+      pagination: {
+        nextCursor: result.nextCursor,
+        hasNext: Boolean(result.nextCursor)
       }
-    };
-
-    if (category) {
-      query.category = category;
-    }
-
-    const stores = await Store.find(query)
-      .populate('owner', 'profile firstName lastName')
-      .limit(20)
-      .lean();
-
-    // Add distance to each store
-    const storesWithDistance = stores.map(store => {
-      const distance = store.calculateDistance(parseFloat(latitude), parseFloat(longitude));
-      return {
-        ...store,
-        distance: Math.round(distance * 100) / 100 // Round to 2 decimal places
-      };
     });
 
-    res.json({ stores: storesWithDistance });
-
   } catch (error) {
     console.error('Get nearby stores error:', error);
     res.status(500).json({ message: 'Failed to get nearby stores' });
@@ -71,7 +140,7 @@ router.get('/nearby', [
 router.get('/search', async (req, res) => {
   try {
     const { q, category, city } = req.query;
-    let query = { isActive: true };
+    let query = Store.publicFilter();
 
     if (q) {
       query.$text = { $search: q };
@@ -86,6 +155,7 @@ router.get('/search', async (req, res) => {
     }
 
     const stores = await Store.find(query)
+      .select(Store.publicProjection())
       .populate('owner', 'profile firstName lastName')
       .limit(20);
 
@@ -97,10 +167,36 @@ router.get('/search', async (req, res) => {
   }
 });
 
+// Stores the logged-in user works at, with their role in each
+router.get('/mine', [
+  authenticateToken,
+  requireUserType('store_owner')
+], async (req, res) => {
+  try {
+    const memberships = await StoreMember.findForUser(req.user._id);
+
+    res.json({
+      stores: memberships
+        .filter(membership => membership.store)
+        .map(membership => ({ store: membership.store, role: membership.role }))
+    });
+
+  } catch (error) {
+    console.error('Get my stores error:', error);
+    res.status(500).json({ message: 'Failed to get stores' });
+  }
+});
+
 // Get store details
 router.get('/:id', async (req, res) => {
   try {
-    const store = await Store.findById(req.params.id)
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    // Unverified or inactive stores are hidden here as in search and discovery
+    const store = await Store.findOne({ _id: req.params.id, ...Store.publicFilter() })
+      .select(Store.publicProjection())
       .populate('owner', 'profile firstName lastName phone')
       .populate('products', 'name pricing images status');
 
@@ -108,7 +204,7 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Store not found' });
     }
 
-    res.json({ store });
+    res.json({ store, hours: store.getHoursStatus() });
 
   } catch (error) {
     console.error('Get store error:', error);
@@ -116,19 +212,131 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Check whether a store can serve an order for pickup or delivery to a location
+router.post('/:id/serviceability', [
+  body('deliveryType').isIn(['pickup', 'delivery']).withMessage('Valid delivery type required'),
+  body('latitude').optional().isFloat({ min: -90, max: 90 }).withMessage('Valid latitude required'),
+  body('longitude').optional().isFloat({ min: -180, max: 180 }).withMessage('Valid longitude required'),
+  body('items').optional().isArray().withMessage('Items must be an array'),
+  body('items.*.productId').isMongoId().withMessage('Valid product ID required'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Valid quantity required'),
+  body('subtotal').optional().isFloat({ min: 0 }).withMessage('Valid subtotal required')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deliveryType, latitude, longitude, items = [] } = req.body;
+
+    const store = await Store.findById(req.params.id);
+    if (!store) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    // Price the items at current selling prices when they are given
+    let subtotal = req.body.subtotal !== undefined ? parseFloat(req.body.subtotal) : undefined;
+    let orderItems = [];
+    if (items.length > 0) {
+      const products = await Product.find({
+        _id: { $in: items.map(item => item.productId) },
+        store: store._id
+      }).select('name pricing availability');
+
+      if (products.length !== new Set(items.map(item => item.productId)).size) {
+        return res.status(400).json({ message: 'Some products do not belong to this store' });
+      }
+
+      orderItems = items.map(item => ({
+        product: products.find(product => product._id.toString() === item.productId),
+        quantity: parseInt(item.quantity)
+      }));
+      subtotal = orderItems.reduce((total, item) => total + item.product.pricing.sellingPrice * item.quantity, 0);
+    }
+
+    const location = latitude !== undefined && longitude !== undefined
+      ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) }
+      : null;
+
+    const result = checkServiceability({
+      store,
+      deliveryType,
+      location,
+      items: orderItems,
+      subtotal
+    });
+
+    res.json({
+      store: store._id,
+      deliveryType,
+      ...result,
+      deliveryRadius: store.services.deliveryRadius,
+      minOrderAmount: store.services.minOrderAmount
+    });
+
+  } catch (error) {
+    console.error('Check serviceability error:', error);
+    res.status(500).json({ message: 'Failed to check serviceability' });
+  }
+});
+
+// Get bookable delivery/pickup slots for a date (YYYY-MM-DD, defaults to today)
+router.get('/:id/slots', [
+  query('date').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be YYYY-MM-DD')
+], async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: 'Invalid id' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const store = await Store.findById(req.params.id).select('name timezone operatingHours holidays slotSettings isActive');
+    if (!store || !store.isActive) {
+      return res.status(404).json({ message: 'Store not found' });
+    }
+
+    const date = req.query.date || getLocalParts(new Date(), getStoreTimezone(store)).date;
+    const slots = await getSlotAvailability(store, date);
+
+    res.json({
+      store: store._id,
+      storeName: store.name,
+      date,
+      enabled: store.slotSettings.enabled,
+      durationMinutes: store.slotSettings.durationMinutes,
+      slots
+    });
+
+  } catch (error) {
+    console.error('Get store slots error:', error);
+    res.status(500).json({ message: 'Failed to get store slots' });
+  }
+});
+
 // Create store (for store owners)
 router.post('/', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
   body('name').isLength({ min: 1 }).withMessage('Store name required'),
-  body('category').isIn(['grocery', 'pharmacy', 'electronics', 'clothing', 'restaurant', 'general']).withMessage('Valid category required'),
+  body('category').isIn(CATEGORIES).withMessage('Valid category required'),
   body('contact.phone').isMobilePhone().withMessage('Valid phone number required'),
   body('address.street').isLength({ min: 1 }).withMessage('Street address required'),
   body('address.city').isLength({ min: 1 }).withMessage('City required'),
   body('address.state').isLength({ min: 1 }).withMessage('State required'),
   body('address.pincode').isLength({ min: 6, max: 6 }).withMessage('Valid pincode required'),
-  body('address.coordinates').isArray({ min: 2, max: 2 }).withMessage('Valid coordinates required')
+  body('address.coordinates').isArray({ min: 2, max: 2 }).withMessage('Valid coordinates required'),
+  body('timezone').optional().custom(isValidTimezone).withMessage('Valid IANA timezone required'),
+  ...businessDetailsValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -136,20 +344,24 @@ router.post('/', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    // Check if user already has a store
-    const existingStore = await Store.findOne({ owner: req.user._id });
-    if (existingStore) {
-      return res.status(400).json({ message: 'User already has a store' });
+    const { updates, error, field } = buildUpdate(req.body, EDITABLE_FIELDS);
+    if (error) {
+      return res.status(400).json({ message: error, field });
     }
 
     const storeData = {
-      ...req.body,
-      owner: req.user._id
+      ...updates,
+      owner: req.user._id,
+      isVerified: false,
+      verification: { status: 'draft' }
     };
 
     const store = new Store(storeData);
     await store.save();
 
+    // The creator owns the store and can add staff to it
+    await StoreMember.create({ store: store._id, user: req.user._id, role: 'owner', addedBy: req.user._id });
+
     res.status(201).json({
       message: 'Store created successfully',
       store
@@ -166,22 +378,45 @@ router.put('/:id', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('store.update', loaders.store),
+  ...businessDetailsValidators
 ], async (req, res) => {
   try {
-    const store = await Store.findById(req.params.id);
-    if (!store) {
-      return res.status(404).json({ message: 'Store not found' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const store = req.store;
+
+    const { updates, fields, error, field } = buildUpdate(req.body, EDITABLE_FIELDS);
+    if (error) {
+      return res.status(400).json({ message: error, field });
     }
 
-    // Check ownership
-    if (store.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    // Covers both { businessDetails: {...} } and 'businessDetails.gstin' style bodies
+    if (fields.includes('businessDetails')) {
+      // Business (KYC) details belong to the owner
+      if (!(await can(req.user, 'store.verification', store, req.storeMember))) {
+        return res.status(403).json({ message: 'Access denied. Your store role cannot change business details.' });
+      }
+
+      // Reviewed details stay as submitted until the application comes back
+      if (!store.isVerificationEditable()) {
+        return res.status(409).json({
+          message: `Business details cannot change while verification is ${store.verification.status}`
+        });
+      }
+
+      const kycErrors = getBusinessDetailsErrors(getUpdatedBusinessDetails(store, updates));
+      if (kycErrors.length > 0) {
+        return res.status(400).json({ errors: kycErrors });
+      }
     }
 
     const updatedStore = await Store.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      updates,
       { new: true, runValidators: true }
     );
 
@@ -201,17 +436,10 @@ router.post('/:id/upload-image', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('store.update', loaders.store)
 ], async (req, res) => {
   try {
-    const store = await Store.findById(req.params.id);
-    if (!store) {
-      return res.status(404).json({ message: 'Store not found' });
-    }
-
-    if (store.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+    const store = req.store;
 
     const { imageType, imageData } = req.body; // base64 image data
     const { imageType: type } = req.body;
@@ -248,23 +476,323 @@ router.post('/:id/upload-image', [
   }
 });
 
-// Get store analytics
-router.get('/:id/analytics', [
+// Owner's view of the store's onboarding verification
+const verificationView = (store) => ({
+  status: store.verification.status,
+  isVerified: store.isVerified,
+  reason: store.verification.reason,
+  businessDetails: store.businessDetails,
+  documents: store.verification.documents,
+  submittedAt: store.verification.submittedAt,
+  reviewedAt: store.verification.reviewedAt,
+  history: store.verification.history,
+  gaps: store.getVerificationGaps()
+});
+
+// Get store verification status
+router.get('/:id/verification', [
   authenticateToken,
   requireUserType('store_owner'),
   requireVerified,
-  requireStoreOwnership
+  authorize('store.verification', loaders.store)
 ], async (req, res) => {
   try {
-    const store = await Store.findById(req.params.id);
-    if (!store) {
-      return res.status(404).json({ message: 'Store not found' });
+    const store = req.store;
+
+    res.json({ verification: verificationView(store) });
+
+  } catch (error) {
+    console.error('Get store verification error:', error);
+    res.status(500).json({ message: 'Failed to get store verification' });
+  }
+});
+
+// Upload a verification document (base64 image or PDF)
+router.post('/:id/verification/documents', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.verification', loaders.store),
+  body('documentType').isIn(KYC_DOCUMENT_TYPES).withMessage('Valid document type required'),
+  body('documentData').isString().isLength({ min: 1 }).withMessage('Document data required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const store = req.store;
+
+    if (!store.isVerificationEditable()) {
+      return res.status(409).json({
+        message: `Documents cannot change while verification is ${store.verification.status}`
+      });
+    }
+
+    const { documentType, documentData } = req.body;
+
+    // Documents are only reachable through signed URLs
+    const result = await cloudinary.uploader.upload(documentData, {
+      folder: 'mylocalmart/kyc',
+      public_id: `${store._id}_${documentType}_${Date.now()}`,
+      type: 'authenticated'
+    });
+
+    store.verification.documents.push({
+      type: documentType,
+      url: result.secure_url,
+      publicId: result.public_id
+    });
+    await store.save();
+
+    res.status(201).json({
+      message: 'Document uploaded successfully',
+      document: store.verification.documents[store.verification.documents.length - 1],
+      gaps: store.getVerificationGaps()
+    });
+
+  } catch (error) {
+    console.error('Upload verification document error:', error);
+    res.status(500).json({ message: 'Failed to upload document' });
+  }
+});
+
+// Remove a verification document
+router.delete('/:id/verification/documents/:documentId', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.verification', loaders.store)
+], async (req, res) => {
+  try {
+    const store = req.store;
+
+    if (!store.isVerificationEditable()) {
+      return res.status(409).json({
+        message: `Documents cannot change while verification is ${store.verification.status}`
+      });
+    }
+
+    const document = store.verification.documents.id(req.params.documentId);
+    if (!document) {
+      return res.status(404).json({ message: 'Document not found' });
+    }
+
+    document.deleteOne();
+    await store.save();
+
+    if (document.publicId) {
+      cloudinary.uploader.destroy(document.publicId, { type: 'authenticated' })
+        .catch(error => console.error('Delete verification document error:', error));
+    }
+
+    res.json({
+      message: 'Document removed',
+      gaps: store.getVerificationGaps()
+    });
+
+  } catch (error) {
+    console.error('Remove verification document error:', error);
+    res.status(500).json({ message: 'Failed to remove document' });
+  }
+});
+
+// Submit (or resubmit after a rejection) the store for verification
+router.post('/:id/verification/submit', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.verification', loaders.store),
+  body('note').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const store = req.store;
+
+    if (!store.canTransitionVerification('submitted', 'store_owner')) {
+      return res.status(409).json({
+        message: `Store cannot be submitted while verification is ${store.verification.status}`
+      });
+    }
+
+    const gaps = store.getVerificationGaps();
+    if (gaps.length > 0) {
+      return res.status(400).json({ message: 'Verification details incomplete', gaps });
+    }
+
+    store.transitionVerification('submitted', { role: 'store_owner', user: req.user._id }, req.body.note);
+    await store.save();
+
+    res.json({
+      message: 'Store submitted for verification',
+      verification: verificationView(store)
+    });
+
+  } catch (error) {
+    console.error('Submit store verification error:', error);
+    res.status(500).json({ message: 'Failed to submit store for verification' });
+  }
+});
+
+// Roles an owner can hand out; ownership itself is not transferable here
+const STAFF_ROLES = ['manager', 'staff', 'packer'];
+
+// List the people who work at a store
+router.get('/:id/members', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.members', loaders.store)
+], async (req, res) => {
+  try {
+    const members = await StoreMember.find({ store: req.store._id })
+      .populate('user', 'phone profile isActive')
+      .sort({ createdAt: 1 });
+
+    res.json({ members });
+
+  } catch (error) {
+    console.error('Get store members error:', error);
+    res.status(500).json({ message: 'Failed to get store members' });
+  }
+});
+
+// Add someone to the store by phone number
+router.post('/:id/members', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.members', loaders.store),
+  body('phone').isMobilePhone().withMessage('Valid phone number required'),
+  body('role').isIn(STAFF_ROLES).withMessage('Valid store role required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { phone, role } = req.body;
+
+    // New staff get an account they can log in to with OTP
+    let user = await User.findOne({ phone });
+    if (!user) {
+      user = await User.create({ phone, userType: 'store_owner' });
+    }
+
+    if (!user.isActive) {
+      return res.status(409).json({ message: 'User is suspended' });
+    }
+
+    // Store routes are for store accounts; customers and partners would be
+    // added but locked out of every one of them
+    if (user.userType !== 'store_owner') {
+      return res.status(409).json({ message: 'Only store accounts can be added to a store' });
+    }
+
+    const existing = await StoreMember.findOne({ store: req.store._id, user: user._id });
+    if (existing) {
+      return res.status(409).json({ message: 'User is already a member of this store', member: existing });
+    }
+
+    const member = await StoreMember.create({
+      store: req.store._id,
+      user: user._id,
+      role,
+      addedBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Member added',
+      member
+    });
+
+  } catch (error) {
+    console.error('Add store member error:', error);
+    res.status(500).json({ message: 'Failed to add store member' });
+  }
+});
+
+// Change a member's role
+router.patch('/:id/members/:memberId', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.members', loaders.store),
+  body('role').isIn(STAFF_ROLES).withMessage('Valid store role required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    if (store.owner.toString() !== req.user._id.toString()) {
-      return res.status(403).json({ message: 'Access denied' });
+    const member = await StoreMember.findOne({ _id: req.params.memberId, store: req.store._id });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
     }
 
+    if (member.role === 'owner') {
+      return res.status(409).json({ message: 'The owner\'s role cannot be changed' });
+    }
+
+    member.role = req.body.role;
+    await member.save();
+
+    res.json({
+      message: 'Member updated',
+      member
+    });
+
+  } catch (error) {
+    console.error('Update store member error:', error);
+    res.status(500).json({ message: 'Failed to update store member' });
+  }
+});
+
+// Remove someone from the store
+router.delete('/:id/members/:memberId', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.members', loaders.store)
+], async (req, res) => {
+  try {
+    const member = await StoreMember.findOne({ _id: req.params.memberId, store: req.store._id });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'owner') {
+      return res.status(409).json({ message: 'The owner cannot be removed' });
+    }
+
+    await member.deleteOne();
+    accessEvents.emit('membership_removed', member);
+
+    res.json({ message: 'Member removed' });
+
+  } catch (error) {
+    console.error('Remove store member error:', error);
+    res.status(500).json({ message: 'Failed to remove store member' });
+  }
+});
+
+// Get store analytics
+router.get('/:id/analytics', [
+  authenticateToken,
+  requireUserType('store_owner'),
+  requireVerified,
+  authorize('store.analytics', loaders.store)
+], async (req, res) => {
+  try {
+    const store = req.store;
+
     // Get product count
     const Product = require('../models/Product');
     const Order = require('../models/Order');
@@ -0,0 +1,31 @@
+// Give every store owner an owner membership for the stores they created
+// before store memberships existed. Safe to run more than once.
+// Usage: npm run backfill-store-members
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Store = require('../models/Store');
+const StoreMember = require('../models/StoreMember');
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const stores = await Store.find({}).select('owner');
+  let created = 0;
+
+  for (const store of stores) {
+    const result = await StoreMember.updateOne(
+      { store: store._id, user: store.owner },
+      { $setOnInsert: { role: 'owner', addedBy: store.owner } },
+      { upsert: true }
+    );
+    created += result.upsertedCount;
+  }
+
+  console.log(`Checked ${stores.length} stores, added ${created} owner memberships`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Backfill store members error:', error);
+  process.exit(1);
+});
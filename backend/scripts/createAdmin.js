@@ -0,0 +1,32 @@
+// Promote (or create) the user with a phone number to a platform admin.
+// Usage: npm run create-admin -- +919876543210
+const mongoose = require('mongoose');
+require('dotenv').config();
+const User = require('../models/User');
+
+const run = async () => {
+  const phone = process.argv[2];
+  if (!phone) {
+    console.error('Usage: npm run create-admin -- <phone>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const normalized = phone.replace(/[^\d+]/g, '');
+  let user = await User.findOne({ phone: normalized });
+  if (!user) {
+    user = new User({ phone: normalized, userType: 'admin' });
+  }
+  user.userType = 'admin';
+  user.reactivate();
+  await user.save();
+
+  console.log(`${user.phone} is now an admin`);
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Create admin error:', error);
+  process.exit(1);
+});
@@ -1,9 +1,12 @@
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 require('dotenv').config();
+const { initRealtime } = require('./services/realtime');
+const { startNotifications } = require('./services/notifications');
 
 const app = express();
 
@@ -22,7 +25,13 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // MongoDB connection
@@ -41,6 +50,12 @@ app.use('/api/products', require('./routes/products'));
 app.use('/api/cart', require('./routes/cart'));
 app.use('/api/orders', require('./routes/orders'));
 app.use('/api/categories', require('./routes/categories'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/delivery', require('./routes/delivery'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -67,7 +82,12 @@ app.use('*', (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-app.listen(PORT, () => {
+// HTTP server shared by the REST API and the order WebSocket channel
+const server = http.createServer(app);
+initRealtime(server);
+startNotifications();
+
+server.listen(PORT, () => {
     console.log(`✅ Server running at: http://localhost:${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
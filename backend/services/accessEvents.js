@@ -0,0 +1,13 @@
+const EventEmitter = require('events');
+
+// In-process bus for changes to who may see what. Sessions and store
+// memberships emit here; the WebSocket layer subscribes to cut off sockets
+// that were authorised at connect time.
+//
+// Events:
+//   'session_revoked'       (sessionId)
+//   'user_sessions_revoked' (userId, exceptSessionId)
+//   'membership_removed'    (storeMember)
+const accessEvents = new EventEmitter();
+
+module.exports = accessEvents;
@@ -0,0 +1,50 @@
+// Writes built from request bodies, for creating (POST /stores, POST /products)
+// and partial updates (PUT /stores/:id, PUT /products/:id).
+// Only whitelisted fields may be written, either whole ('address') or through
+// dotted paths ('address.city'). Update operators ($set, $inc, ...) are refused
+// at any depth, since they would let the update reach fields outside the list.
+
+const hasOperator = (value) => {
+  if (Array.isArray(value)) {
+    return value.some(hasOperator);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value).some(key => key.startsWith('$') || hasOperator(value[key]));
+  }
+  return false;
+};
+
+// Returns { updates, fields } where fields are the top-level fields written,
+// or { error, field } naming the first path that may not be written
+const buildUpdate = (body, allowedFields) => {
+  const updates = {};
+  const fields = [];
+  const paths = Object.keys(body || {});
+
+  for (const path of paths) {
+    const parts = path.split('.');
+    const root = parts[0];
+
+    if (parts.some(part => part.startsWith('$')) || hasOperator(body[path])) {
+      return { error: 'Update operators are not allowed', field: path };
+    }
+    if (!allowedFields.includes(root) || parts.includes('')) {
+      return { error: `${root} cannot be changed`, field: path };
+    }
+    // A whole field and one of its paths cannot be written together
+    if (parts.length > 1 && paths.includes(root)) {
+      return { error: `${root} is written both whole and in part`, field: path };
+    }
+
+    updates[path] = body[path];
+    if (!fields.includes(root)) {
+      fields.push(root);
+    }
+  }
+
+  return { updates, fields };
+};
+
+module.exports = {
+  buildUpdate
+};
@@ -0,0 +1,145 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+
+const COUPON_ERRORS = {
+  coupon_not_found: 'Coupon not found',
+  coupon_inactive: 'Coupon is no longer active',
+  coupon_not_started: 'Coupon is not valid yet',
+  coupon_expired: 'Coupon has expired',
+  usage_limit_reached: 'Coupon usage limit reached',
+  user_limit_reached: 'You have already used this coupon',
+  coupon_not_applicable: 'Coupon does not apply to items in your cart',
+  min_order_not_met: 'Order amount is below the coupon minimum'
+};
+
+const couponError = (reason, details = {}) => ({
+  error: { reason, message: COUPON_ERRORS[reason], ...details }
+});
+
+// Evaluate a coupon code for a user against per-store subtotals
+// ({ [storeId]: subtotal }). Returns { coupon, discount, allocations } where
+// allocations splits the discount across stores, or { error }.
+const evaluateCoupon = async (code, userId, storeSubtotals) => {
+  const coupon = await Coupon.findByCode(code);
+  if (!coupon) {
+    return couponError('coupon_not_found');
+  }
+
+  const availabilityError = coupon.getAvailabilityError();
+  if (availabilityError) {
+    return couponError(availabilityError);
+  }
+
+  const used = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+  if (used >= coupon.limits.perUser) {
+    return couponError('user_limit_reached');
+  }
+
+  const eligibleStores = Object.keys(storeSubtotals).filter(storeId =>
+    !coupon.store || coupon.store.toString() === storeId
+  );
+  const eligibleSubtotal = eligibleStores.reduce((total, storeId) => total + storeSubtotals[storeId], 0);
+
+  if (eligibleSubtotal === 0) {
+    return couponError('coupon_not_applicable');
+  }
+
+  if (eligibleSubtotal < coupon.minOrderAmount) {
+    return couponError('min_order_not_met', { minOrderAmount: coupon.minOrderAmount });
+  }
+
+  const discount = coupon.calculateDiscount(eligibleSubtotal);
+
+  // Split platform-wide discounts across stores in proportion to their subtotals
+  const allocations = {};
+  let allocated = 0;
+  eligibleStores.forEach((storeId, index) => {
+    const share = index === eligibleStores.length - 1
+      ? Math.round((discount - allocated) * 100) / 100
+      : Math.round(discount * storeSubtotals[storeId] / eligibleSubtotal * 100) / 100;
+    allocations[storeId] = share;
+    allocated += share;
+  });
+
+  return { coupon, discount, allocations };
+};
+
+// Atomically take one use of a coupon for a user. The user's use is claimed
+// first by inserting a redemption under the lowest free sequence number (a
+// unique index), then the total use. Returns { redemption } or { error }.
+const reserveCouponUse = async (coupon, userId) => {
+  const existing = await CouponRedemption.find({ coupon: coupon._id, user: userId }).select('sequence');
+  const taken = existing.map(redemption => redemption.sequence);
+  let sequence = 1;
+  while (taken.includes(sequence)) {
+    sequence++;
+  }
+  if (existing.length >= coupon.limits.perUser || sequence > coupon.limits.perUser) {
+    return couponError('user_limit_reached');
+  }
+
+  const redemption = new CouponRedemption({ coupon: coupon._id, user: userId, sequence, discount: 0 });
+  try {
+    await redemption.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      return couponError('user_limit_reached');
+    }
+    throw error;
+  }
+
+  const query = { _id: coupon._id };
+  if (coupon.limits.total) {
+    query.usedCount = { $lt: coupon.limits.total };
+  }
+
+  const updated = await Coupon.findOneAndUpdate(query, { $inc: { usedCount: 1 } });
+  if (!updated) {
+    await CouponRedemption.deleteOne({ _id: redemption._id });
+    return couponError('usage_limit_reached');
+  }
+
+  return { redemption };
+};
+
+// Give back a use taken by reserveCouponUse
+const releaseCouponUse = async (redemption) => {
+  await CouponRedemption.deleteOne({ _id: redemption._id });
+  await Coupon.updateOne(
+    { _id: redemption.coupon, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+};
+
+// Record the orders a reserved redemption was used on
+const recordRedemption = async (redemption, orders) => {
+  redemption.orders = orders.map(order => order._id);
+  redemption.discount = orders.reduce((total, order) => total + order.pricing.discount, 0);
+  await redemption.save();
+  return redemption;
+};
+
+// Take a cancelled order off its redemption; once none of its orders is left
+// the use goes back to the customer and the coupon
+const releaseOrderCoupon = async (order) => {
+  if (!order.coupon || !order.coupon.couponId) {
+    return;
+  }
+
+  const redemption = await CouponRedemption.findOneAndUpdate(
+    { orders: order._id },
+    { $pull: { orders: order._id }, $inc: { discount: -order.pricing.discount } },
+    { new: true }
+  );
+  if (redemption && redemption.orders.length === 0) {
+    await releaseCouponUse(redemption);
+  }
+};
+
+module.exports = {
+  evaluateCoupon,
+  reserveCouponUse,
+  releaseCouponUse,
+  recordRedemption,
+  releaseOrderCoupon
+};
@@ -0,0 +1,82 @@
+const { DEFAULT_TIMEZONE, DAYS, getLocalParts } = require('./timezone');
+
+// Delivery fee pricing from a store's services settings. Pure: everything it
+// needs is passed in, so checkout and quotes always agree.
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Whether a surge window covers the given local time. Windows that wrap past
+// midnight belong to the day they start on.
+const isSurgeActive = (window, { day, time }) => {
+  const previousDay = DAYS[(DAYS.indexOf(day) + 6) % 7];
+  const appliesTo = (weekday) => !window.days || window.days.length === 0 || window.days.includes(weekday);
+
+  if (window.start <= window.end) {
+    return appliesTo(day) && time >= window.start && time < window.end;
+  }
+  return (appliesTo(day) && time >= window.start) || (appliesTo(previousDay) && time < window.end);
+};
+
+// Fee for the distance-based bands
+const calculateDistanceFee = (bands, distance) => {
+  if (!bands || bands.length === 0 || !distance) {
+    return 0;
+  }
+
+  const sorted = [...bands].sort((a, b) => a.upToKm - b.upToKm);
+  let fee = 0;
+  let covered = 0;
+
+  for (const band of sorted) {
+    if (distance <= covered) break;
+    const km = Math.min(distance, band.upToKm) - covered;
+    fee += km * band.perKm;
+    covered = band.upToKm;
+  }
+
+  if (distance > covered) {
+    fee += (distance - covered) * sorted[sorted.length - 1].perKm;
+  }
+
+  return fee;
+};
+
+// services: Store.services
+// distance: km between store and delivery address
+// subtotal: value of the goods before discounts
+// at:       moment the order is placed
+// Returns { fee, breakdown: { base, distance, surge, freeDeliveryApplied, capped } }
+const calculateDeliveryFee = ({ services, distance = 0, subtotal = 0, at = new Date(), timezone = DEFAULT_TIMEZONE }) => {
+  const rules = services.feeRules || {};
+
+  const base = services.deliveryFee || 0;
+  const distanceFee = roundAmount(calculateDistanceFee(rules.distanceBands, distance));
+
+  const localTime = getLocalParts(at, timezone);
+  const surge = (rules.surge || [])
+    .filter(window => isSurgeActive(window, localTime))
+    .reduce((total, window) => total + window.amount, 0);
+
+  const freeDeliveryApplied = rules.freeDeliveryAbove > 0 && subtotal >= rules.freeDeliveryAbove;
+
+  let fee = freeDeliveryApplied ? 0 : base + distanceFee + surge;
+  const capped = rules.maxFee > 0 && fee > rules.maxFee;
+  if (capped) {
+    fee = rules.maxFee;
+  }
+
+  return {
+    fee: roundAmount(fee),
+    breakdown: {
+      base,
+      distance: distanceFee,
+      surge,
+      freeDeliveryApplied,
+      capped
+    }
+  };
+};
+
+module.exports = {
+  calculateDeliveryFee
+};
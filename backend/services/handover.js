@@ -0,0 +1,24 @@
+// HTTP response for a failed Order#verifyHandoverCode check
+const HANDOVER_FAILURES = {
+  invalid: { status: 400, message: 'Incorrect handover code' },
+  locked: { status: 429, message: 'Too many incorrect handover codes. Try again later' },
+  code_issued: { status: 409, message: 'A handover code has been sent to the customer. Ask them for it' }
+};
+
+const handoverFailureResponse = (result) => {
+  const failure = HANDOVER_FAILURES[result.reason];
+
+  return {
+    status: failure.status,
+    body: {
+      message: failure.message,
+      reason: result.reason,
+      ...(result.attemptsLeft !== undefined && { attemptsLeft: result.attemptsLeft }),
+      ...(result.retryAt && { retryAt: result.retryAt })
+    }
+  };
+};
+
+module.exports = {
+  handoverFailureResponse
+};
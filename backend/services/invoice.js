@@ -0,0 +1,129 @@
+// Printable HTML invoices for orders. Registered (regular scheme) stores issue a
+// tax invoice; composition and unregistered sellers issue a bill of supply.
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const money = (value) => `₹${(value || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+  day: '2-digit',
+  month: 'short',
+  year: 'numeric'
+});
+
+const formatAddress = (address = {}) => [address.street, address.city, address.state, address.pincode]
+  .filter(Boolean)
+  .map(escapeHtml)
+  .join(', ');
+
+// order must have store and customer populated
+const renderInvoiceHtml = (order) => {
+  const store = order.store;
+  const customer = order.customer;
+  const breakdown = order.taxBreakdown || {};
+  const isTaxInvoice = breakdown.scheme === 'regular';
+  const title = isTaxInvoice ? 'Tax Invoice' : 'Bill of Supply';
+  const customerName = [customer.profile?.firstName, customer.profile?.lastName].filter(Boolean).join(' ');
+
+  const rows = order.items.map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(item.productSnapshot.name)}</td>
+        <td>${escapeHtml(item.tax?.hsnCode || '-')}</td>
+        <td class="num">${item.quantity} ${escapeHtml(item.productSnapshot.unit)}</td>
+        <td class="num">${money(item.price)}</td>
+        ${isTaxInvoice ? `<td class="num">${money(item.tax?.taxableValue)}</td><td class="num">${item.tax?.rate || 0}%</td>` : ''}
+        <td class="num">${money(item.total)}</td>
+      </tr>`).join('');
+
+  const taxSummary = !isTaxInvoice ? '' : `
+  <table class="totals">
+    <tr><td>Taxable Value</td><td class="num">${money(breakdown.taxableValue)}</td></tr>
+    ${breakdown.supplyType === 'inter_state'
+      ? `<tr><td>IGST</td><td class="num">${money(breakdown.igst)}</td></tr>`
+      : `<tr><td>CGST</td><td class="num">${money(breakdown.cgst)}</td></tr>
+    <tr><td>SGST</td><td class="num">${money(breakdown.sgst)}</td></tr>`}
+    <tr><th>Total Tax</th><th class="num">${money(breakdown.totalTax)}</th></tr>
+  </table>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title} ${escapeHtml(order.invoice.number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #1A1A1A; margin: 32px; font-size: 13px; }
+    h1 { font-size: 20px; margin: 0 0 16px; }
+    .parties { display: flex; justify-content: space-between; margin-bottom: 24px; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 16px; }
+    th, td { border: 1px solid #E0E0E0; padding: 6px 8px; text-align: left; }
+    th { background: #F5F5F5; }
+    .num { text-align: right; }
+    .totals { width: 40%; margin-left: auto; }
+    .note { color: #666666; font-size: 11px; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(store.name)}</strong><br>
+      ${formatAddress(store.address)}<br>
+      ${store.businessDetails?.gstin ? `GSTIN: ${escapeHtml(store.businessDetails.gstin)}<br>` : ''}
+      Phone: ${escapeHtml(store.contact?.phone)}
+    </div>
+    <div>
+      Invoice No: <strong>${escapeHtml(order.invoice.number)}</strong><br>
+      Invoice Date: ${formatDate(order.invoice.issuedAt)}<br>
+      Order No: ${escapeHtml(order.storeOrderNumber || order.orderNumber)}<br>
+      Order Date: ${formatDate(order.createdAt)}
+    </div>
+  </div>
+  <div class="parties">
+    <div>
+      <strong>Billed to</strong><br>
+      ${escapeHtml(customerName || 'Customer')}<br>
+      ${escapeHtml(customer.phone)}<br>
+      ${order.delivery.type === 'delivery' ? formatAddress(order.delivery.address) : 'Store pickup'}
+    </div>
+    ${isTaxInvoice ? `<div>Supply: ${breakdown.supplyType === 'inter_state' ? 'Inter-state' : 'Intra-state'}</div>` : ''}
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th>
+        <th>Item</th>
+        <th>HSN</th>
+        <th class="num">Qty</th>
+        <th class="num">Rate</th>
+        ${isTaxInvoice ? '<th class="num">Taxable Value</th><th class="num">GST</th>' : ''}
+        <th class="num">Amount</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table class="totals">
+    <tr><td>Subtotal</td><td class="num">${money(order.pricing.subtotal)}</td></tr>
+    ${order.pricing.discount ? `<tr><td>Discount${order.coupon?.code ? ` (${escapeHtml(order.coupon.code)})` : ''}</td><td class="num">-${money(order.pricing.discount)}</td></tr>` : ''}
+    ${order.pricing.deliveryFee ? `<tr><td>Delivery Fee</td><td class="num">${money(order.pricing.deliveryFee)}</td></tr>` : ''}
+    ${order.pricing.tax ? `<tr><td>GST (not included in item prices)</td><td class="num">${money(order.pricing.tax)}</td></tr>` : ''}
+    <tr><th>Total</th><th class="num">${money(order.pricing.total)}</th></tr>
+  </table>${taxSummary}
+  <p class="note">
+    Payment: ${order.payment.method === 'online' ? 'Online' : 'Cash on delivery'}.
+    ${isTaxInvoice ? '' : 'Seller is not eligible to collect tax on supplies.'}
+  </p>
+</body>
+</html>`;
+};
+
+module.exports = {
+  renderInvoiceHtml
+};
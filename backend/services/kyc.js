@@ -0,0 +1,65 @@
+// Format checks for Indian business identifiers used in store onboarding
+
+const KYC_DOCUMENT_TYPES = ['gst_certificate', 'pan_card', 'trade_license', 'fssai_license', 'shop_photo', 'other'];
+
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// AAAAA9999A; the 4th letter is the holder type (P person, C company, F firm, ...)
+const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]$/;
+
+// 2-digit state code, the holder's PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// State/UT codes 01-38, plus 97 (other territory) and 99 (centre jurisdiction)
+const isValidStateCode = (code) => {
+  const value = Number(code);
+  return (value >= 1 && value <= 38) || value === 97 || value === 99;
+};
+
+const normalizeId = (value) => String(value || '').trim().toUpperCase();
+
+const isValidPan = (pan) => PAN_PATTERN.test(normalizeId(pan));
+
+// Check character of the first 14 GSTIN characters (mod-36 weighted sum)
+const gstinCheckCharacter = (base) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(base[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+const isValidGstin = (gstin) => {
+  const value = normalizeId(gstin);
+  return GSTIN_PATTERN.test(value) &&
+    isValidStateCode(value.slice(0, 2)) &&
+    gstinCheckCharacter(value) === value[14];
+};
+
+// The PAN a GSTIN was issued against
+const getGstinPan = (gstin) => normalizeId(gstin).slice(2, 12);
+
+// Problems with a store's business details, as { path, msg } entries
+const getBusinessDetailsErrors = ({ gstin, pan } = {}) => {
+  const errors = [];
+  if (gstin && !isValidGstin(gstin)) {
+    errors.push({ path: 'businessDetails.gstin', msg: 'Valid GSTIN required' });
+  }
+  if (pan && !isValidPan(pan)) {
+    errors.push({ path: 'businessDetails.pan', msg: 'Valid PAN required' });
+  }
+  if (errors.length === 0 && gstin && pan && getGstinPan(gstin) !== normalizeId(pan)) {
+    errors.push({ path: 'businessDetails.gstin', msg: 'GSTIN was not issued against this PAN' });
+  }
+  return errors;
+};
+
+module.exports = {
+  KYC_DOCUMENT_TYPES,
+  normalizeId,
+  isValidPan,
+  isValidGstin,
+  getGstinPan,
+  getBusinessDetailsErrors
+};
@@ -0,0 +1,277 @@
+const cron = require('node-cron');
+const Notification = require('../../models/Notification');
+const User = require('../../models/User');
+const Store = require('../../models/Store');
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const orderEvents = require('../orderEvents');
+const { templates, renderTemplate } = require('./templates');
+const createExpoProvider = require('./providers/expo');
+const createFakeProvider = require('./providers/fake');
+
+const MAX_ATTEMPTS = 5;
+const OUTBOX_BATCH_SIZE = 50;
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+// Every push provider implements:
+//   name
+//   isValidToken(token) -> boolean
+//   send([{ token, title, body, data }]) -> [{ token, status: 'ok' | 'error', ticketId, error, invalidToken }]
+const providerFactories = {
+  expo: () => createExpoProvider({
+    accessToken: process.env.EXPO_ACCESS_TOKEN
+  }),
+  fake: () => createFakeProvider()
+};
+
+const providers = {};
+
+// Get (and lazily create) a push provider by name
+const getProvider = (name = process.env.PUSH_PROVIDER || 'expo') => {
+  if (!providerFactories[name]) {
+    return null;
+  }
+  if (!providers[name]) {
+    providers[name] = providerFactories[name]();
+  }
+  return providers[name];
+};
+
+// Retry later with a growing delay, giving up after MAX_ATTEMPTS
+const scheduleRetry = (notification, errorMessage) => {
+  notification.lastError = errorMessage;
+  if (notification.attempts >= MAX_ATTEMPTS) {
+    notification.status = 'failed';
+  } else {
+    notification.status = 'pending';
+    notification.nextAttemptAt = new Date(Date.now() + notification.attempts * notification.attempts * 60 * 1000);
+  }
+};
+
+// Atomically take a due notification (matching filter) for sending, so it is
+// sent by only one process. Counts the attempt; returns null when none is due.
+const claimNotification = (filter = {}) => {
+  const now = new Date();
+  return Notification.findOneAndUpdate(
+    {
+      ...filter,
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'sending', leaseExpiresAt: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'sending', leaseExpiresAt: new Date(now.getTime() + SEND_LEASE_MS) },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  );
+};
+
+// Send a claimed notification to all of its user's devices
+const deliverNotification = async (notification) => {
+  notification.leaseExpiresAt = undefined;
+
+  const user = await User.findById(notification.user).select('pushTokens');
+  const tokens = user ? user.pushTokens.map(entry => entry.token) : [];
+
+  if (tokens.length === 0) {
+    notification.status = 'skipped';
+    notification.skipReason = 'no_devices';
+    await notification.save();
+    return notification;
+  }
+
+  let results;
+  try {
+    results = await getProvider().send(tokens.map(token => ({
+      token,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data
+    })));
+  } catch (error) {
+    console.error('Push delivery error:', error);
+    scheduleRetry(notification, error.message);
+    await notification.save();
+    return notification;
+  }
+
+  // Devices that uninstalled the app will never accept a message again
+  const invalidTokens = results.filter(result => result.invalidToken).map(result => result.token);
+  if (invalidTokens.length > 0) {
+    await User.updateOne(
+      { _id: notification.user },
+      { $pull: { pushTokens: { token: { $in: invalidTokens } } } }
+    );
+  }
+
+  notification.deliveries = results.map(result => ({
+    token: result.token,
+    status: result.status,
+    ticketId: result.ticketId,
+    error: result.error
+  }));
+
+  if (results.some(result => result.status === 'ok')) {
+    notification.status = 'sent';
+    notification.sentAt = new Date();
+  } else if (invalidTokens.length === results.length) {
+    notification.status = 'failed';
+    notification.lastError = 'No registered devices accepted the message';
+  } else {
+    scheduleRetry(notification, results.map(result => result.error).filter(Boolean).join('; '));
+  }
+
+  await notification.save();
+  return notification;
+};
+
+// Render a template for a user, store it in the outbox and try to send it right away.
+// Users who switched the category off still get an outbox entry, marked skipped.
+const notifyUser = async (userId, templateName, params, data = {}) => {
+  const user = await User.findById(userId).select('preferences isActive');
+  if (!user) {
+    return null;
+  }
+
+  const message = renderTemplate(templateName, params);
+  const notification = new Notification({
+    user: user._id,
+    template: templateName,
+    category: message.category,
+    title: message.title,
+    body: message.body,
+    data: { template: templateName, ...data }
+  });
+
+  if (!user.isActive || !user.wantsNotification(message.category)) {
+    notification.status = 'skipped';
+    notification.skipReason = 'disabled';
+    await notification.save();
+    return notification;
+  }
+
+  await notification.save();
+
+  // The outbox may have picked it up already
+  const claimed = await claimNotification({ _id: notification._id });
+  return claimed ? deliverNotification(claimed) : notification;
+};
+
+// Retry pending notifications whose next attempt is due
+const processOutbox = async () => {
+  let processed = 0;
+
+  while (processed < OUTBOX_BATCH_SIZE) {
+    const notification = await claimNotification();
+    if (!notification) {
+      break;
+    }
+    processed++;
+
+    try {
+      await deliverNotification(notification);
+    } catch (error) {
+      console.error('Outbox delivery error:', error);
+    }
+  }
+
+  return processed;
+};
+
+// Event handlers never throw; a failed notification must not affect the order flow
+const safely = (handler) => (...args) => {
+  handler(...args).catch(error => console.error('Notification error:', error));
+};
+
+const handleOrderCreated = async (order) => {
+  const store = await Store.findById(order.store).select('owner');
+  if (!store) {
+    return;
+  }
+
+  await notifyUser(store.owner, 'new_order', { order }, { orderId: order._id.toString() });
+
+  // Checkout is where stock goes down, so check the ordered products right after
+  const products = await Product.find({
+    _id: { $in: order.items.map(item => item.product) },
+    'inventory.trackStock': true
+  }).select('name inventory');
+
+  for (const product of products) {
+    if (product.inventory.stock <= product.inventory.lowStockThreshold) {
+      await notifyUser(store.owner, 'low_stock', { product }, { productId: product._id.toString() });
+    }
+  }
+};
+
+const handleStatusChanged = async (order, entry) => {
+  const store = await Store.findById(order.store).select('owner name');
+  if (!store) {
+    return;
+  }
+
+  const data = { orderId: order._id.toString(), status: order.status };
+  const note = entry && entry.note;
+
+  if (order.status === 'cancelled' && entry && entry.actor && entry.actor.role === 'customer') {
+    await notifyUser(store.owner, 'order_cancelled_by_customer', { order, note }, data);
+    return;
+  }
+
+  const templateName = `order_${order.status}`;
+  if (templates[templateName]) {
+    await notifyUser(order.customer, templateName, { order, storeName: store.name, note }, data);
+  }
+};
+
+const REFUND_TEMPLATES = {
+  requested: 'refund_requested',
+  rejected: 'refund_rejected',
+  completed: 'refund_completed',
+  failed: 'refund_failed'
+};
+
+const handleRefundStatus = async (refund) => {
+  const templateName = REFUND_TEMPLATES[refund.status];
+  if (!templateName) {
+    return;
+  }
+
+  const order = await Order.findById(refund.order).select('orderNumber storeOrderNumber');
+  if (!order) {
+    return;
+  }
+
+  const data = { refundId: refund._id.toString(), orderId: order._id.toString() };
+
+  if (refund.status === 'requested') {
+    const store = await Store.findById(refund.store).select('owner');
+    if (store) {
+      await notifyUser(store.owner, templateName, { refund, order }, data);
+    }
+    return;
+  }
+
+  await notifyUser(refund.customer, templateName, { refund, order }, data);
+};
+
+// Subscribe to order events and start the outbox retry job
+const startNotifications = () => {
+  orderEvents.on('created', safely(handleOrderCreated));
+  orderEvents.on('status_changed', safely(handleStatusChanged));
+  orderEvents.on('refund_status', safely(handleRefundStatus));
+
+  cron.schedule('* * * * *', () => {
+    processOutbox().catch(error => console.error('Process outbox error:', error));
+  });
+};
+
+module.exports = {
+  getProvider,
+  notifyUser,
+  deliverNotification,
+  processOutbox,
+  startNotifications
+};
@@ -0,0 +1,79 @@
+const https = require('https');
+
+// Expo accepts at most 100 messages per request
+const BATCH_SIZE = 100;
+
+// Expo push service adapter. Works with the ExponentPushToken[...] tokens the
+// mobile app gets from expo-notifications; an access token is only needed when
+// enhanced push security is enabled for the Expo project.
+const createExpoProvider = ({ accessToken } = {}) => {
+  const request = (messages) => new Promise((resolve, reject) => {
+    const data = JSON.stringify(messages);
+    const req = https.request({
+      hostname: 'exp.host',
+      path: '/--/api/v2/push/send',
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(data),
+        ...(accessToken && { 'Authorization': `Bearer ${accessToken}` })
+      }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(body);
+        } catch (error) {
+          return reject(new Error(`Expo returned invalid JSON (${res.statusCode})`));
+        }
+        if (res.statusCode >= 400 || !Array.isArray(parsed.data)) {
+          const message = parsed.errors && parsed.errors[0] && parsed.errors[0].message;
+          return reject(new Error(message || `Expo push error ${res.statusCode}`));
+        }
+        resolve(parsed.data);
+      });
+    });
+
+    req.on('error', reject);
+    req.write(data);
+    req.end();
+  });
+
+  return {
+    name: 'expo',
+
+    isValidToken: (token) => /^Expo(nent)?PushToken\[.+\]$/.test(token),
+
+    send: async (messages) => {
+      const results = [];
+
+      for (let start = 0; start < messages.length; start += BATCH_SIZE) {
+        const batch = messages.slice(start, start + BATCH_SIZE);
+        const tickets = await request(batch.map(message => ({
+          to: message.token,
+          title: message.title,
+          body: message.body,
+          data: message.data,
+          sound: 'default'
+        })));
+
+        tickets.forEach((ticket, index) => {
+          results.push({
+            token: batch[index].token,
+            status: ticket.status === 'ok' ? 'ok' : 'error',
+            ticketId: ticket.id,
+            error: ticket.message,
+            invalidToken: Boolean(ticket.details && ticket.details.error === 'DeviceNotRegistered')
+          });
+        });
+      }
+
+      return results;
+    }
+  };
+};
+
+module.exports = createExpoProvider;
@@ -0,0 +1,39 @@
+const crypto = require('crypto');
+
+// In-process provider for development and tests. Messages are recorded instead
+// of sent; tokens starting with "invalid" behave like uninstalled devices.
+const createFakeProvider = () => {
+  const sent = [];
+
+  return {
+    name: 'fake',
+
+    isValidToken: (token) => typeof token === 'string' && token.length > 0,
+
+    send: async (messages) => messages.map(message => {
+      if (message.token.startsWith('invalid')) {
+        return {
+          token: message.token,
+          status: 'error',
+          error: 'Device not registered',
+          invalidToken: true
+        };
+      }
+
+      sent.push(message);
+      return {
+        token: message.token,
+        status: 'ok',
+        ticketId: `fake_ticket_${crypto.randomBytes(8).toString('hex')}`
+      };
+    }),
+
+    // Test helpers
+    getSent: () => sent.slice(),
+    reset: () => {
+      sent.length = 0;
+    }
+  };
+};
+
+module.exports = createFakeProvider;
@@ -0,0 +1,126 @@
+// Push notification templates. Each one names the preference category it
+// belongs to and renders a title, body and data payload (used by the app to
+// open the right screen) from its params.
+const templates = {
+  // Customer: order progress
+  order_confirmed: {
+    category: 'orders',
+    render: ({ order, storeName }) => ({
+      title: 'Order confirmed',
+      body: `${storeName} has confirmed your order ${order.orderNumber}.`
+    })
+  },
+  order_preparing: {
+    category: 'orders',
+    render: ({ order, storeName }) => ({
+      title: 'Order being prepared',
+      body: `${storeName} is preparing your order ${order.orderNumber}.`
+    })
+  },
+  order_ready: {
+    category: 'orders',
+    render: ({ order, storeName }) => ({
+      title: 'Order ready',
+      body: order.delivery.type === 'pickup'
+        ? `Your order ${order.orderNumber} is ready for pickup at ${storeName}.`
+        : `Your order ${order.orderNumber} is packed and will be on its way soon.`
+    })
+  },
+  order_out_for_delivery: {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: 'Out for delivery',
+      body: `Your order ${order.orderNumber} is on its way.`
+    })
+  },
+  order_delivered: {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: order.delivery.type === 'pickup' ? 'Order picked up' : 'Order delivered',
+      body: `Your order ${order.orderNumber} is complete. Thanks for shopping local!`
+    })
+  },
+  order_cancelled: {
+    category: 'orders',
+    render: ({ order, storeName, note }) => ({
+      title: 'Order cancelled',
+      body: `${storeName} cancelled your order ${order.orderNumber}${note ? `: ${note}` : '.'}`
+    })
+  },
+
+  // Store owner: incoming orders and stock
+  new_order: {
+    category: 'orders',
+    render: ({ order }) => ({
+      title: 'New order',
+      body: `Order ${order.storeOrderNumber || order.orderNumber} for ₹${order.pricing.total} ` +
+        `(${order.items.length} item${order.items.length === 1 ? '' : 's'}, ${order.delivery.type}).`
+    })
+  },
+  order_cancelled_by_customer: {
+    category: 'orders',
+    render: ({ order, note }) => ({
+      title: 'Order cancelled by customer',
+      body: `Order ${order.storeOrderNumber || order.orderNumber} was cancelled${note ? `: ${note}` : '.'}`
+    })
+  },
+  low_stock: {
+    category: 'inventory',
+    render: ({ product }) => ({
+      title: product.inventory.stock === 0 ? 'Out of stock' : 'Low stock',
+      body: product.inventory.stock === 0
+        ? `${product.name} is out of stock.`
+        : `${product.name} is running low (${product.inventory.stock} left).`
+    })
+  },
+
+  // Refunds
+  refund_requested: {
+    category: 'refunds',
+    render: ({ refund, order }) => ({
+      title: 'Refund requested',
+      body: `A refund of ₹${refund.amount} was requested for order ${order.storeOrderNumber || order.orderNumber}.`
+    })
+  },
+  refund_rejected: {
+    category: 'refunds',
+    render: ({ order, refund }) => ({
+      title: 'Refund declined',
+      body: `Your refund request for order ${order.orderNumber} was declined` +
+        `${refund.review && refund.review.note ? `: ${refund.review.note}` : '.'}`
+    })
+  },
+  refund_completed: {
+    category: 'refunds',
+    render: ({ refund, order }) => ({
+      title: 'Refund processed',
+      body: refund.gateway && refund.gateway.name === 'cash'
+        ? `Your refund of ₹${refund.amount} for order ${order.orderNumber} will be settled by the store.`
+        : `₹${refund.amount} for order ${order.orderNumber} has been refunded to your original payment method.`
+    })
+  },
+  refund_failed: {
+    category: 'refunds',
+    render: ({ refund, order }) => ({
+      title: 'Refund delayed',
+      body: `We could not process your refund of ₹${refund.amount} for order ${order.orderNumber} yet. The store will retry it.`
+    })
+  }
+};
+
+// Render a template into { category, title, body }; throws for unknown templates
+const renderTemplate = (name, params) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+  return {
+    category: template.category,
+    ...template.render(params)
+  };
+};
+
+module.exports = {
+  templates,
+  renderTemplate
+};
@@ -0,0 +1,14 @@
+const EventEmitter = require('events');
+
+// In-process bus for order lifecycle events. Producers (the Order and Refund
+// models and checkout) emit here; delivery channels such as the WebSocket layer
+// and push notifications subscribe.
+//
+// Events:
+//   'created'        (order)
+//   'status_changed' (order, timelineEntry)
+//   'timeline'       (order, timelineEntry)
+//   'refund_status'  (refund)
+const orderEvents = new EventEmitter();
+
+module.exports = orderEvents;
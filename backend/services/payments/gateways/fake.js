@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+// In-process gateway for development and tests. Intents are kept in memory and
+// webhooks are signed with a shared secret so they go through the same
+// verification path as a real gateway. Without a configured secret a random
+// one is used, so only buildWebhook() can produce valid signatures.
+const createFakeGateway = ({ webhookSecret = crypto.randomBytes(32).toString('hex') } = {}) => {
+  const intents = new Map();
+
+  const sign = (rawBody) => crypto
+    .createHmac('sha256', webhookSecret)
+    .update(rawBody)
+    .digest('hex');
+
+  return {
+    name: 'fake',
+
+    createPaymentIntent: async ({ amount, currency = 'INR', receipt, notes }) => {
+      const id = `fake_order_${crypto.randomBytes(8).toString('hex')}`;
+      intents.set(id, { id, amount, currency, receipt, notes });
+
+      return {
+        id,
+        amount,
+        currency,
+        clientPayload: { orderId: id, amount, currency }
+      };
+    },
+
+    createRefund: async ({ transactionId, amount }) => {
+      if (!transactionId) {
+        throw new Error('Payment has no transaction to refund');
+      }
+
+      return {
+        id: `fake_rfnd_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        status: 'processed'
+      };
+    },
+
+    verifyWebhookSignature: (rawBody, headers) => {
+      const signature = headers['x-fake-signature'];
+      if (!signature || !rawBody) {
+        return false;
+      }
+
+      const expected = sign(rawBody);
+      return signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    parseWebhookEvent: (body) => ({
+      eventId: body.eventId,
+      intentId: body.intentId,
+      transactionId: body.transactionId,
+      status: body.status,
+      amount: body.amount,
+      reason: body.reason
+    }),
+
+    // Build a signed webhook request for an intent, as the gateway would send it
+    buildWebhook: (intentId, status = 'paid', reason) => {
+      const intent = intents.get(intentId);
+      const body = {
+        eventId: `fake_evt_${crypto.randomBytes(8).toString('hex')}`,
+        intentId,
+        transactionId: `fake_pay_${crypto.randomBytes(8).toString('hex')}`,
+        status,
+        amount: intent ? intent.amount : undefined,
+        reason
+      };
+      const rawBody = JSON.stringify(body);
+
+      return { body, rawBody, headers: { 'x-fake-signature': sign(rawBody) } };
+    },
+
+    getIntent: (intentId) => intents.get(intentId)
+  };
+};
+
+module.exports = createFakeGateway;
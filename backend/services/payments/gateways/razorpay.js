@@ -0,0 +1,117 @@
+const https = require('https');
+const crypto = require('crypto');
+
+// Razorpay adapter. Amounts are passed in rupees and converted to paise here.
+const createRazorpayGateway = ({ keyId, keySecret, webhookSecret }) => {
+  const request = (method, path, payload) => new Promise((resolve, reject) => {
+    const data = payload ? JSON.stringify(payload) : null;
+    const req = https.request({
+      hostname: 'api.razorpay.com',
+      path: `/v1${path}`,
+      method,
+      auth: `${keyId}:${keySecret}`,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(data && { 'Content-Length': Buffer.byteLength(data) })
+      }
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => {
+        let parsed;
+        try {
+          parsed = JSON.parse(body);
+        } catch (error) {
+          return reject(new Error(`Razorpay returned invalid JSON (${res.statusCode})`));
+        }
+        if (res.statusCode >= 400) {
+          return reject(new Error(parsed.error?.description || `Razorpay error ${res.statusCode}`));
+        }
+        resolve(parsed);
+      });
+    });
+
+    req.on('error', reject);
+    if (data) req.write(data);
+    req.end();
+  });
+
+  return {
+    name: 'razorpay',
+
+    createPaymentIntent: async ({ amount, currency = 'INR', receipt, notes }) => {
+      const order = await request('POST', '/orders', {
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes
+      });
+
+      return {
+        id: order.id,
+        amount: order.amount / 100,
+        currency: order.currency,
+        // What the mobile checkout SDK needs to open the payment sheet
+        clientPayload: {
+          key: keyId,
+          orderId: order.id,
+          amount: order.amount,
+          currency: order.currency
+        }
+      };
+    },
+
+    createRefund: async ({ transactionId, amount, notes }) => {
+      const refund = await request('POST', `/payments/${transactionId}/refund`, {
+        amount: Math.round(amount * 100),
+        notes
+      });
+
+      return {
+        id: refund.id,
+        amount: refund.amount / 100,
+        status: refund.status
+      };
+    },
+
+    verifyWebhookSignature: (rawBody, headers) => {
+      const signature = headers['x-razorpay-signature'];
+      if (!signature || !webhookSecret || !rawBody) {
+        return false;
+      }
+
+      const expected = crypto
+        .createHmac('sha256', webhookSecret)
+        .update(rawBody)
+        .digest('hex');
+
+      return signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    },
+
+    parseWebhookEvent: (body, headers) => {
+      const payment = body.payload?.payment?.entity;
+      if (!payment) {
+        return null;
+      }
+
+      let status = null;
+      if (body.event === 'payment.captured' || body.event === 'order.paid') {
+        status = 'paid';
+      } else if (body.event === 'payment.failed') {
+        status = 'failed';
+      }
+
+      return {
+        eventId: headers['x-razorpay-event-id'] || `${body.event}:${payment.id}`,
+        intentId: payment.order_id,
+        transactionId: payment.id,
+        status,
+        amount: payment.amount / 100,
+        reason: payment.error_description
+      };
+    }
+  };
+};
+
+module.exports = createRazorpayGateway;
@@ -0,0 +1,153 @@
+const Order = require('../../models/Order');
+const createRazorpayGateway = require('./gateways/razorpay');
+const createFakeGateway = require('./gateways/fake');
+
+// Every gateway adapter implements:
+//   name
+//   createPaymentIntent({ amount, currency, receipt, notes }) -> { id, amount, currency, clientPayload }
+//   createRefund({ transactionId, amount, notes }) -> { id, amount, status }
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   parseWebhookEvent(body, headers) -> { eventId, intentId, transactionId, status, amount, reason } | null
+const gatewayFactories = {
+  razorpay: () => createRazorpayGateway({
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+  })
+};
+
+// The fake gateway marks orders paid on request, so it never exists in production
+if (process.env.NODE_ENV !== 'production') {
+  gatewayFactories.fake = () => createFakeGateway({
+    webhookSecret: process.env.FAKE_GATEWAY_WEBHOOK_SECRET
+  });
+}
+
+const gateways = {};
+
+const getDefaultGatewayName = () => {
+  if (process.env.PAYMENT_GATEWAY) {
+    return process.env.PAYMENT_GATEWAY;
+  }
+  return process.env.RAZORPAY_KEY_ID || !gatewayFactories.fake ? 'razorpay' : 'fake';
+};
+
+// Get (and lazily create) a gateway adapter by name
+const getGateway = (name = getDefaultGatewayName()) => {
+  if (!gatewayFactories[name]) {
+    return null;
+  }
+  if (!gateways[name]) {
+    gateways[name] = gatewayFactories[name]();
+  }
+  return gateways[name];
+};
+
+// Create one payment intent covering the given online orders and link them to it
+const createIntentForOrders = async (orders) => {
+  const gateway = getGateway();
+  if (!gateway) {
+    throw new Error(`Payment gateway ${getDefaultGatewayName()} is not available`);
+  }
+  const amount = orders.reduce((total, order) => total + order.pricing.total, 0);
+
+  const intent = await gateway.createPaymentIntent({
+    amount,
+    currency: 'INR',
+    receipt: orders[0].orderNumber,
+    notes: { orders: orders.map(order => order.orderNumber).join(',') }
+  });
+
+  await Order.bulkWrite(orders.map(order => {
+    const update = {
+      $set: {
+        'payment.gateway': gateway.name,
+        'payment.intentId': intent.id,
+        'payment.status': 'pending'
+      }
+    };
+    // The customer may still complete the earlier checkout
+    if (order.payment.intentId) {
+      update.$push = {
+        'payment.previousIntents': { gateway: order.payment.gateway, intentId: order.payment.intentId }
+      };
+    }
+    return { updateOne: { filter: { _id: order._id }, update } };
+  }));
+
+  return { gateway: gateway.name, ...intent };
+};
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+
+// Orders an intent of the gateway was created for, whether or not it was replaced since
+const intentFilter = (gatewayName, intentId) => ({
+  $or: [
+    { 'payment.gateway': gatewayName, 'payment.intentId': intentId },
+    { 'payment.previousIntents': { $elemMatch: { gateway: gatewayName, intentId } } }
+  ]
+});
+
+// Apply a parsed webhook event to the orders linked to its intent. Events are
+// recorded per order so replays and out-of-order deliveries are no-ops, and a
+// paid order is never moved back to failed.
+const applyPaymentEvent = async (gatewayName, event) => {
+  if (!event || !event.eventId || !event.intentId || !['paid', 'failed'].includes(event.status)) {
+    return { matched: 0, modified: 0 };
+  }
+
+  // A payment only settles the orders when it covers their full total
+  if (event.status === 'paid') {
+    const orders = await Order.find(intentFilter(gatewayName, event.intentId))
+      .select('pricing.total');
+    const due = orders.reduce((total, order) => total + order.pricing.total, 0);
+
+    if (orders.length > 0 && toPaise(event.amount) !== toPaise(due)) {
+      console.warn(`Payment ${event.transactionId} for intent ${event.intentId} paid ${event.amount}, expected ${due}`);
+      return { matched: orders.length, modified: 0, amountMismatch: true };
+    }
+  }
+
+  // Payments settle the orders through any intent created for them; failures
+  // only count for the current one
+  const query = event.status === 'paid'
+    ? intentFilter(gatewayName, event.intentId)
+    : { 'payment.gateway': gatewayName, 'payment.intentId': event.intentId };
+  query['payment.processedEvents'] = { $ne: event.eventId };
+
+  // Orders cancelled while the payment was in flight are marked paid as well,
+  // so the money taken shows on them and can be refunded (see the webhook route)
+  let update;
+  if (event.status === 'paid') {
+    query['payment.status'] = { $in: ['pending', 'failed'] };
+    update = {
+      $set: {
+        'payment.status': 'paid',
+        'payment.gateway': gatewayName,
+        'payment.intentId': event.intentId,
+        'payment.transactionId': event.transactionId,
+        'payment.paidAt': new Date()
+      },
+      $unset: { 'payment.failureReason': '' }
+    };
+  } else {
+    query['payment.status'] = 'pending';
+    update = {
+      $set: {
+        'payment.status': 'failed',
+        'payment.transactionId': event.transactionId,
+        'payment.failureReason': event.reason || 'Payment failed'
+      }
+    };
+  }
+  update.$push = { 'payment.processedEvents': event.eventId };
+
+  const result = await Order.updateMany(query, update);
+  return { matched: result.matchedCount, modified: result.modifiedCount };
+};
+
+module.exports = {
+  getGateway,
+  createIntentForOrders,
+  applyPaymentEvent
+};
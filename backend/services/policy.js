@@ -0,0 +1,109 @@
+const Store = require('../models/Store');
+const StoreMember = require('../models/StoreMember');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Coupon = require('../models/Coupon');
+
+// Refs may or may not be populated
+const idOf = (ref) => (ref && ref._id) || ref;
+
+const sameId = (a, b) => Boolean(a && b) && idOf(a).toString() === idOf(b).toString();
+
+// The store a resource belongs to (a store belongs to itself)
+const storeIdOf = (resource) => {
+  if (resource instanceof Store) {
+    return resource._id;
+  }
+  return resource.store ? idOf(resource.store) : null;
+};
+
+// Rules take (user, resource, membership), membership being the user's role
+// at the resource's store, if any
+const isAdmin = (user) => user.userType === 'admin';
+const isOrderCustomer = (user, order) => sameId(order.customer, user._id);
+const isAssignedPartner = (user, order) => user.userType === 'delivery_partner' && order.isAssignedTo(user._id);
+const hasStorePermission = (permission) => (user, resource, membership) =>
+  user.userType === 'store_owner' && Boolean(membership && membership.can(permission));
+const anyOf = (...rules) => (...args) => rules.some(rule => rule(...args));
+
+// Who may perform each action, by resource
+const POLICIES = {
+  // On a store
+  'store.update': hasStorePermission('store.update'),
+  'store.verification': hasStorePermission('store.verification'),
+  'store.members': hasStorePermission('store.members'),
+  'store.analytics': hasStorePermission('store.analytics'),
+  'product.create': hasStorePermission('products.create'),
+  'order.list': hasStorePermission('orders.view'),
+  'coupon.manage': hasStorePermission('coupons.manage'),
+  'refund.list': hasStorePermission('refunds.manage'),
+
+  // On a product
+  'product.update': hasStorePermission('products.edit'),
+  'product.pricing': hasStorePermission('products.pricing'),
+  'product.delete': hasStorePermission('products.delete'),
+  'product.stock': hasStorePermission('products.stock'),
+
+  // On an order
+  'order.read': anyOf(isOrderCustomer, isAssignedPartner, hasStorePermission('orders.view'), isAdmin),
+  'order.invoice': anyOf(isOrderCustomer, hasStorePermission('orders.view')),
+  // Any status change from the store; each change then needs one of the next three
+  'order.updateStatus': hasStorePermission('orders.pack'),
+  'order.prepare': hasStorePermission('orders.pack'),
+  'order.fulfil': hasStorePermission('orders.status'),
+  'order.reject': hasStorePermission('orders.cancel'),
+  'order.cancel': isOrderCustomer,
+  'order.rate': isOrderCustomer,
+  'refund.request': (user, order) => user.userType === 'customer' && isOrderCustomer(user, order),
+  'refund.issue': hasStorePermission('refunds.manage'),
+
+  // On a refund or coupon
+  'refund.review': hasStorePermission('refunds.manage'),
+  'coupon.update': hasStorePermission('coupons.manage')
+};
+
+// The user's membership at the resource's store (null when there is none)
+const findMembership = (user, resource) => {
+  const storeId = storeIdOf(resource);
+  if (!storeId || user.userType !== 'store_owner') {
+    return null;
+  }
+  return StoreMember.findOne({ store: storeId, user: user._id });
+};
+
+// Whether the user may perform the action on the resource. An already
+// loaded membership can be passed to save the lookup.
+const can = async (user, action, resource, membership) => {
+  const rule = POLICIES[action];
+  if (!rule) {
+    throw new Error(`Unknown policy action: ${action}`);
+  }
+  if (!user || !resource) {
+    return false;
+  }
+
+  const storeMembership = membership === undefined ? await findMembership(user, resource) : membership;
+  return rule(user, resource, storeMembership);
+};
+
+// Loaders fetch the resource a route acts on from its :id param.
+// name is where authorize() puts it on the request.
+const loader = (name, load) => ({ name, load });
+
+const loaders = {
+  store: loader('store', (req) => Store.findById(req.params.id)),
+  product: loader('product', (req) => Product.findById(req.params.id)),
+  order: loader('order', (req) => Order.findById(req.params.id)),
+  // For routes that check or show the delivery handover code
+  orderWithOtp: loader('order', (req) => Order.findById(req.params.id).select('+delivery.otp')),
+  refund: loader('refund', (req) => Refund.findById(req.params.id)),
+  coupon: loader('coupon', (req) => Coupon.findById(req.params.id))
+};
+
+module.exports = {
+  POLICIES,
+  can,
+  findMembership,
+  loaders
+};
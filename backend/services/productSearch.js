@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const Category = require('../models/Category');
+
+// Lower bounds of the price band facet; the last band is open-ended
+const PRICE_BANDS = [0, 50, 100, 250, 500, 1000, 2500];
+const MAX_STORE_FACETS = 20;
+// Nearby stores considered for a location search
+const MAX_NEARBY_STORES = 500;
+
+const SORTS = {
+  // Text relevance, closeness and rating combined
+  relevance: { score: -1, _id: 1 },
+  distance: { distance: 1, 'pricing.sellingPrice': 1, _id: 1 },
+  price: { 'pricing.sellingPrice': 1, distance: 1, _id: 1 },
+  rating: { 'rating.average': -1, distance: 1, _id: 1 }
+};
+
+const priceBandLabel = (lower) => {
+  const index = PRICE_BANDS.indexOf(lower);
+  return index === PRICE_BANDS.length - 1
+    ? `${lower}+`
+    : `${lower}-${PRICE_BANDS[index + 1]}`;
+};
+
+// Active, verified stores within radius km of [lng, lat], nearest first, with distance in km
+const findStoresAround = (coordinates, radius) => {
+  return Store.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates },
+        key: 'address.coordinates',
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        maxDistance: radius * 1000,
+        spherical: true,
+        query: { isActive: true, isVerified: true }
+      }
+    },
+    { $limit: MAX_NEARBY_STORES },
+    { $project: { _id: 1, distance: 1 } }
+  ]);
+};
+
+// Search products across stores. With coordinates only stores within radius
+// are searched and offers are ranked by distance as well as relevance.
+// options: q, coordinates ([lng, lat]), radius, store, category, brand,
+//          minPrice, maxPrice, deliveryType, inStock, sort, page, limit
+// Returns { products, total, facets: { categories, brands, priceBands, stores } }
+const searchProducts = async ({
+  q,
+  coordinates,
+  radius = 10,
+  store,
+  category,
+  brand,
+  minPrice,
+  maxPrice,
+  deliveryType,
+  inStock = true,
+  sort = 'relevance',
+  page = 1,
+  limit = 20
+}) => {
+  const match = {
+    $text: { $search: q },
+    status: 'active'
+  };
+
+  let nearby = null;
+  if (coordinates) {
+    nearby = await findStoresAround(coordinates, radius);
+    if (nearby.length === 0) {
+      return { products: [], total: 0, facets: { categories: [], brands: [], priceBands: [], stores: [] } };
+    }
+    match.store = { $in: nearby.map(entry => entry._id) };
+  }
+
+  if (store) {
+    match.store = nearby
+      ? { $in: nearby.map(entry => entry._id).filter(id => id.equals(store)) }
+      : new mongoose.Types.ObjectId(store);
+  }
+  if (category) {
+    match.category = new mongoose.Types.ObjectId(category);
+  }
+  if (brand) {
+    match.brand = brand;
+  }
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    match['pricing.sellingPrice'] = {
+      ...(minPrice !== undefined && { $gte: minPrice }),
+      ...(maxPrice !== undefined && { $lte: maxPrice })
+    };
+  }
+  if (deliveryType) {
+    match[`availability.${deliveryType}`] = { $ne: false };
+  }
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { textScore: { $meta: 'textScore' } } }
+  ];
+
+  if (inStock) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { 'inventory.trackStock': false },
+          { 'inventory.stock': { $gt: 0 } }
+        ]
+      }
+    });
+  }
+
+  if (nearby) {
+    // Carry each store's distance over to its products
+    pipeline.push({
+      $addFields: {
+        distance: {
+          $arrayElemAt: [
+            nearby.map(entry => entry.distance),
+            { $indexOfArray: [nearby.map(entry => entry._id), '$store'] }
+          ]
+        }
+      }
+    });
+  } else {
+    // Only active, verified stores sell; location searches already checked this
+    pipeline.push(
+      { $lookup: { from: 'stores', localField: 'store', foreignField: '_id', as: 'storeDoc' } },
+      { $match: { 'storeDoc.isActive': true, 'storeDoc.isVerified': true } },
+      { $project: { storeDoc: 0 } },
+      { $addFields: { distance: null } }
+    );
+  }
+
+  // Relevance counts most, then closeness within the radius, then rating
+  pipeline.push({
+    $addFields: {
+      score: {
+        $add: [
+          '$textScore',
+          nearby ? { $subtract: [1, { $divide: ['$distance', radius] }] } : 0,
+          { $divide: [{ $ifNull: ['$rating.average', 0] }, 5] }
+        ]
+      }
+    }
+  });
+
+  const skip = (page - 1) * limit;
+
+  pipeline.push({
+    $facet: {
+      products: [
+        { $sort: SORTS[sort] },
+        { $skip: skip },
+        { $limit: limit },
+        {
+          $project: {
+            name: 1,
+            brand: 1,
+            category: 1,
+            store: 1,
+            images: { $slice: ['$images', 1] },
+            pricing: 1,
+            'inventory.stock': 1,
+            'inventory.trackStock': 1,
+            availability: 1,
+            rating: 1,
+            distance: { $round: ['$distance', 2] },
+            score: 1
+          }
+        }
+      ],
+      total: [{ $count: 'count' }],
+      categories: [
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ],
+      brands: [
+        { $match: { brand: { $nin: [null, ''] } } },
+        { $group: { _id: '$brand', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ],
+      priceBands: [
+        {
+          $bucket: {
+            groupBy: '$pricing.sellingPrice',
+            boundaries: [...PRICE_BANDS, Number.MAX_SAFE_INTEGER],
+            output: { count: { $sum: 1 } }
+          }
+        }
+      ],
+      stores: [
+        { $group: { _id: '$store', count: { $sum: 1 }, distance: { $first: '$distance' } } },
+        { $sort: { count: -1, distance: 1 } },
+        { $limit: MAX_STORE_FACETS }
+      ]
+    }
+  });
+
+  const [result] = await Product.aggregate(pipeline);
+
+  await Product.populate(result.products, [
+    { path: 'store', select: 'name address.city rating' },
+    { path: 'category', select: 'name slug' }
+  ]);
+
+  const [categories, stores] = await Promise.all([
+    Category.find({ _id: { $in: result.categories.map(entry => entry._id) } }).select('name slug'),
+    Store.find({ _id: { $in: result.stores.map(entry => entry._id) } }).select('name')
+  ]);
+  const nameOf = (docs, id) => {
+    const doc = docs.find(entry => entry._id.equals(id));
+    return doc ? doc.name : null;
+  };
+
+  return {
+    products: result.products,
+    total: result.total.length > 0 ? result.total[0].count : 0,
+    facets: {
+      categories: result.categories.map(entry => ({
+        category: entry._id,
+        name: nameOf(categories, entry._id),
+        count: entry.count
+      })),
+      brands: result.brands.map(entry => ({ brand: entry._id, count: entry.count })),
+      priceBands: result.priceBands.map(entry => ({
+        band: priceBandLabel(entry._id),
+        min: entry._id,
+        max: PRICE_BANDS[PRICE_BANDS.indexOf(entry._id) + 1] || null,
+        count: entry.count
+      })),
+      stores: result.stores.map(entry => ({
+        store: entry._id,
+        name: nameOf(stores, entry._id),
+        distance: entry.distance === null ? null : Math.round(entry.distance * 100) / 100,
+        count: entry.count
+      }))
+    }
+  };
+};
+
+module.exports = {
+  SORTS,
+  searchProducts
+};
@@ -0,0 +1,142 @@
+const { Server } = require('socket.io');
+const StoreMember = require('../models/StoreMember');
+const orderEvents = require('./orderEvents');
+const accessEvents = require('./accessEvents');
+const { getUserFromToken } = require('../middlewares/auth');
+
+let io = null;
+
+const userRoom = (userId) => `user:${userId}`;
+const sessionRoom = (sessionId) => `session:${sessionId}`;
+const storeRoom = (storeId) => `store:${storeId}`;
+
+// Compact order payload shared by all order events
+const serializeOrder = (order) => ({
+  id: order._id,
+  orderNumber: order.orderNumber,
+  storeOrderNumber: order.storeOrderNumber,
+  store: order.store._id || order.store,
+  customer: order.customer._id || order.customer,
+  status: order.status,
+  deliveryType: order.delivery.type,
+  total: order.pricing.total,
+  createdAt: order.createdAt,
+  updatedAt: order.updatedAt
+});
+
+const serializeTimelineEntry = (entry) => entry && {
+  status: entry.status,
+  note: entry.note,
+  timestamp: entry.timestamp,
+  actor: entry.actor && { role: entry.actor.role }
+};
+
+// Send an event to the customer, the store and the delivery partner of an order
+const emitToOrderParties = (event, order, payload) => {
+  let target = io.to(userRoom(order.customer._id || order.customer))
+    .to(storeRoom(order.store._id || order.store));
+
+  if (order.delivery.partner) {
+    target = target.to(userRoom(order.delivery.partner._id || order.delivery.partner));
+  }
+
+  target.emit(event, payload);
+};
+
+const handleOrderCreated = (order) => {
+  io.to(storeRoom(order.store._id || order.store)).emit('order:new', {
+    order: serializeOrder(order)
+  });
+};
+
+const handleStatusChanged = (order, entry) => {
+  emitToOrderParties('order:status', order, {
+    order: serializeOrder(order),
+    entry: serializeTimelineEntry(entry)
+  });
+};
+
+const handleTimeline = (order, entry) => {
+  emitToOrderParties('order:timeline', order, {
+    orderId: order._id,
+    entry: serializeTimelineEntry(entry)
+  });
+};
+
+// Sockets are authorised once, at connect; these cut them off when that
+// authorisation is taken back
+const handleSessionRevoked = (sessionId) => {
+  io.in(sessionRoom(sessionId)).disconnectSockets(true);
+};
+
+const handleUserSessionsRevoked = (userId, exceptSessionId) => {
+  let target = io.in(userRoom(userId));
+  if (exceptSessionId) {
+    target = target.except(sessionRoom(exceptSessionId));
+  }
+  target.disconnectSockets(true);
+};
+
+const handleMembershipRemoved = (member) => {
+  io.in(userRoom(member.user)).socketsLeave(storeRoom(member.store));
+};
+
+// Attach Socket.IO to the HTTP server. Clients authenticate with the same JWT
+// used for the REST API, passed as `auth: { token }` in the handshake.
+const initRealtime = (httpServer) => {
+  io = new Server(httpServer, {
+    cors: {
+      origin: process.env.FRONTEND_URL || 'http://localhost:8081',
+      credentials: true
+    }
+  });
+
+  io.use(async (socket, next) => {
+    try {
+      const token = socket.handshake.auth && socket.handshake.auth.token;
+
+      if (!token) {
+        return next(new Error('Access token required'));
+      }
+
+      const user = await getUserFromToken(token);
+
+      if (!user) {
+        return next(new Error('Invalid or inactive user'));
+      }
+
+      socket.user = user;
+      socket.sessionId = user.$locals.sessionId;
+      next();
+    } catch (error) {
+      next(new Error('Invalid token'));
+    }
+  });
+
+  io.on('connection', async (socket) => {
+    socket.join([userRoom(socket.user._id), sessionRoom(socket.sessionId)]);
+
+    if (socket.user.userType === 'store_owner') {
+      try {
+        const memberships = await StoreMember.find({ user: socket.user._id }).select('store');
+        memberships.forEach(membership => socket.join(storeRoom(membership.store)));
+      } catch (error) {
+        console.error('Realtime store join error:', error);
+      }
+    }
+  });
+
+  orderEvents.on('created', handleOrderCreated);
+  orderEvents.on('status_changed', handleStatusChanged);
+  orderEvents.on('timeline', handleTimeline);
+
+  accessEvents.on('session_revoked', handleSessionRevoked);
+  accessEvents.on('user_sessions_revoked', handleUserSessionsRevoked);
+  accessEvents.on('membership_removed', handleMembershipRemoved);
+
+  return io;
+};
+
+module.exports = {
+  initRealtime
+};
@@ -0,0 +1,300 @@
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Store = require('../models/Store');
+const { getGateway } = require('./payments');
+
+// Statuses of refunds that still hold on to order quantities (failed payouts
+// can be approved again)
+const OPEN_REFUND_STATUSES = ['requested', 'approved', 'completed', 'failed'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// What the customer paid for one unit of an order item: the item's share of
+// the order discount taken off and any GST charged on top added. Taxed items
+// record exactly that; older orders fall back to spreading it by value.
+const getUnitPaid = (order, item) => {
+  if (item.tax && item.tax.taxableValue !== undefined && item.tax.amount !== undefined) {
+    return (item.tax.taxableValue + item.tax.amount) / item.quantity;
+  }
+
+  const { subtotal, tax = 0, discount = 0 } = order.pricing;
+  return subtotal > 0 ? item.price * (subtotal + tax - discount) / subtotal : 0;
+};
+
+// Quantity of each order item that is not yet covered by another refund, and
+// the amount still held by refunds that are not paid out yet
+const getRefundableState = async (order) => {
+  const refunds = await Refund.find({
+    order: order._id,
+    status: { $in: OPEN_REFUND_STATUSES }
+  });
+
+  const claimed = {};
+  let pendingAmount = 0;
+  refunds.forEach(refund => {
+    refund.items.forEach(item => {
+      const id = item.product.toString();
+      claimed[id] = (claimed[id] || 0) + item.quantity;
+    });
+    if (refund.status !== 'completed') {
+      pendingAmount += refund.amount;
+    }
+  });
+
+  const remaining = {};
+  order.items.forEach(item => {
+    const id = item.product.toString();
+    remaining[id] = Math.max(0, item.quantity - (claimed[id] || 0));
+  });
+
+  return {
+    remaining,
+    availableAmount: Math.max(0, order.getRefundableAmount() - pendingAmount)
+  };
+};
+
+// Build refund lines from [{ productId, quantity }]; when no lines are given,
+// everything that is still refundable is included (full refund, which also
+// returns the delivery fee). Returns { type, items, amount } or { errors }.
+const buildRefund = async (order, requested = []) => {
+  // Nothing to give back when no money was taken (e.g. an undelivered cash order)
+  if (!order.isPaymentCaptured()) {
+    return { errors: [{ message: 'Order payment was not captured' }] };
+  }
+
+  const { remaining, availableAmount } = await getRefundableState(order);
+  const errors = [];
+  const items = [];
+
+  if (requested.length === 0) {
+    order.items.forEach(item => {
+      const quantity = remaining[item.product.toString()];
+      if (quantity > 0) {
+        items.push({
+          product: item.product,
+          name: item.productSnapshot.name,
+          quantity,
+          amount: round(getUnitPaid(order, item) * quantity)
+        });
+      }
+    });
+
+    if (availableAmount === 0) {
+      return { errors: [{ message: 'Nothing left to refund' }] };
+    }
+
+    return { type: 'full', items, amount: availableAmount };
+  }
+
+  requested.forEach(({ productId, quantity }) => {
+    const orderItem = order.items.find(item => item.product.toString() === productId);
+    if (!orderItem) {
+      errors.push({ product: productId, message: 'Product is not part of this order' });
+      return;
+    }
+
+    const available = remaining[productId];
+    if (quantity > available) {
+      errors.push({ product: productId, message: 'Quantity exceeds refundable quantity', available });
+      return;
+    }
+
+    remaining[productId] -= quantity;
+    items.push({
+      product: orderItem.product,
+      name: orderItem.productSnapshot.name,
+      quantity,
+      amount: round(getUnitPaid(order, orderItem) * quantity)
+    });
+  });
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  return {
+    type: 'partial',
+    items,
+    amount: Math.min(items.reduce((total, item) => total + item.amount, 0), availableAmount)
+  };
+};
+
+// Refund quantities by order item path, e.g. { 'items.0.refundedQuantity': 2 }
+const getItemIncrements = (order, refundItems, field) => {
+  const increments = {};
+  refundItems.forEach(refundItem => {
+    const index = order.items.findIndex(item => item.product.toString() === refundItem.product.toString());
+    if (index !== -1) {
+      const path = `items.${index}.${field}`;
+      increments[path] = (increments[path] || 0) + refundItem.quantity;
+    }
+  });
+  return increments;
+};
+
+// Hold the refund's quantities on the order. Fails (false) when an item would
+// go over its ordered quantity, e.g. after a concurrent request for it.
+const claimRefundItems = async (order, refundItems) => {
+  const increments = getItemIncrements(order, refundItems, 'refundClaimedQuantity');
+  const paths = Object.keys(increments);
+  if (paths.length === 0) {
+    return true;
+  }
+
+  const filter = { _id: order._id };
+  paths.forEach(path => {
+    const index = parseInt(path.split('.')[1]);
+    filter[path] = { $not: { $gt: order.items[index].quantity - increments[path] } };
+  });
+
+  const result = await Order.updateOne(filter, { $inc: increments });
+  return result.modifiedCount === 1;
+};
+
+// Give back the quantities of a refund that will not be paid out. Refunds
+// made before quantities were claimed hold none, so nothing is given back.
+const releaseRefundItems = async (refund) => {
+  const order = await Order.findById(refund.order);
+  const increments = getItemIncrements(order, refund.items, 'refundClaimedQuantity');
+  const paths = Object.keys(increments);
+  if (paths.length === 0) {
+    return;
+  }
+
+  const filter = { _id: order._id };
+  paths.forEach(path => {
+    filter[path] = { $gte: increments[path] };
+    increments[path] = -increments[path];
+  });
+  await Order.updateOne(filter, { $inc: increments });
+};
+
+// Save a new refund whose items were claimed, giving them back if it fails
+const saveClaimedRefund = async (refund) => {
+  try {
+    await refund.save();
+  } catch (error) {
+    await releaseRefundItems(refund);
+    throw error;
+  }
+};
+
+const failRefund = async (refund, name, failureReason) => {
+  refund.status = 'failed';
+  refund.gateway = { name, failureReason };
+  await refund.save();
+  return refund;
+};
+
+// Pay out an approved refund and reflect it on the order and store stats
+const processRefund = async (refund) => {
+  let order = await Order.findById(refund.order);
+  const isOnline = order.payment.method === 'online';
+  // Cancelling already took the order out of the store's revenue
+  const countsAsRevenue = order.status !== 'cancelled';
+  const payoutName = isOnline ? order.payment.gateway : 'cash';
+
+  if (!order.isPaymentCaptured()) {
+    return failRefund(refund, payoutName, 'Order payment was not captured');
+  }
+
+  // Reserve the amount on the order first, so concurrent payouts can never
+  // add up to more than was paid
+  const amount = Math.min(refund.amount, order.getRefundableAmount());
+  const reserved = amount > 0 && await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$payment.refundedAmount', 0] }, amount] }, '$pricing.total'] }
+    },
+    { $inc: { 'payment.refundedAmount': amount } }
+  );
+  if (!reserved) {
+    return failRefund(refund, payoutName, 'Nothing left to refund on this order');
+  }
+
+  if (isOnline) {
+    const gateway = getGateway(order.payment.gateway);
+    try {
+      if (!gateway) {
+        throw new Error(`Payment gateway ${order.payment.gateway} is not available`);
+      }
+      const result = await gateway.createRefund({
+        transactionId: order.payment.transactionId,
+        amount,
+        notes: { order: order.orderNumber, refund: refund._id.toString() }
+      });
+      refund.gateway = { name: gateway.name, refundId: result.id };
+    } catch (error) {
+      console.error('Gateway refund error:', error);
+      await Order.updateOne({ _id: order._id }, { $inc: { 'payment.refundedAmount': -amount } });
+      return failRefund(refund, payoutName, error.message);
+    }
+  } else {
+    // Cash orders are settled by the store at the counter
+    refund.gateway = { name: 'cash' };
+  }
+
+  refund.amount = amount;
+  refund.status = 'completed';
+  refund.processedAt = new Date();
+  await refund.save();
+
+  const refundedQuantities = getItemIncrements(order, refund.items, 'refundedQuantity');
+  order = await Order.findByIdAndUpdate(order._id, { $inc: refundedQuantities }, { new: true });
+
+  if (order.getRefundableAmount() === 0) {
+    if (order.payment.status === 'paid') {
+      order.payment.status = 'refunded';
+    }
+    if (order.canTransitionTo('refunded', 'system')) {
+      order.updateStatus('refunded', 'Order fully refunded', { role: 'system' });
+    }
+  }
+  await order.save();
+
+  if (countsAsRevenue) {
+    await Store.findByIdAndUpdate(order.store, {
+      $inc: { 'stats.totalRevenue': -amount }
+    });
+  }
+
+  return refund;
+};
+
+// Refund whatever was paid online for an order that has just been cancelled
+const refundCancelledOrder = async (order, reason) => {
+  if (order.payment.method !== 'online' || order.payment.status !== 'paid') {
+    return null;
+  }
+
+  const draft = await buildRefund(order);
+  if (draft.errors) {
+    return null;
+  }
+
+  if (!(await claimRefundItems(order, draft.items))) {
+    return null;
+  }
+
+  const refund = new Refund({
+    order: order._id,
+    customer: order.customer,
+    store: order.store,
+    ...draft,
+    reason: reason || 'Order cancelled',
+    status: 'approved',
+    requestedBy: { role: 'system' }
+  });
+  await saveClaimedRefund(refund);
+
+  return processRefund(refund);
+};
+
+module.exports = {
+  buildRefund,
+  claimRefundItems,
+  releaseRefundItems,
+  saveClaimedRefund,
+  processRefund,
+  refundCancelledOrder
+};
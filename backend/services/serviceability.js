@@ -0,0 +1,88 @@
+// Checks whether a store can fulfil an order in the requested mode. Every
+// failure is reported as { code, message, ...details } so clients can explain it.
+const REASON_MESSAGES = {
+  store_inactive: 'Store is not accepting orders',
+  pickup_unavailable: 'Store does not offer pickup',
+  delivery_unavailable: 'Store does not offer delivery',
+  location_required: 'Delivery location required',
+  out_of_range: 'Delivery location is outside the store\'s delivery radius',
+  product_unavailable_for_mode: 'Product is not available for this delivery type',
+  below_minimum_order: 'Order is below the store\'s minimum order amount'
+};
+
+const reason = (code, details = {}) => ({
+  code,
+  message: REASON_MESSAGES[code],
+  ...details
+});
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Whether a product may be ordered for pickup or delivery
+const isProductAvailableFor = (product, deliveryType) => {
+  return !product.availability || product.availability[deliveryType] !== false;
+};
+
+// store:        Store document
+// deliveryType: 'pickup' | 'delivery'
+// location:     { latitude, longitude } of the delivery address (delivery only)
+// items:        [{ product, quantity }] with populated products, optional
+// subtotal:     value of the goods being ordered (minimum order is not checked without it)
+// Returns { serviceable, distance, reasons }
+const checkServiceability = ({ store, deliveryType, location, items = [], subtotal }) => {
+  const reasons = [];
+  let distance = null;
+
+  if (!store.isActive) {
+    reasons.push(reason('store_inactive'));
+  }
+
+  if (deliveryType === 'pickup' && store.services.pickup === false) {
+    reasons.push(reason('pickup_unavailable'));
+  }
+
+  if (deliveryType === 'delivery') {
+    if (!store.services.delivery) {
+      reasons.push(reason('delivery_unavailable'));
+    } else if (!location || location.latitude === undefined || location.longitude === undefined) {
+      reasons.push(reason('location_required'));
+    } else {
+      distance = roundAmount(store.calculateDistance(location.latitude, location.longitude));
+      if (distance > store.services.deliveryRadius) {
+        reasons.push(reason('out_of_range', {
+          distance,
+          deliveryRadius: store.services.deliveryRadius
+        }));
+      }
+    }
+  }
+
+  items.forEach(item => {
+    if (!isProductAvailableFor(item.product, deliveryType)) {
+      reasons.push(reason('product_unavailable_for_mode', {
+        product: item.product._id,
+        name: item.product.name
+      }));
+    }
+  });
+
+  const minOrderAmount = store.services.minOrderAmount || 0;
+  if (subtotal !== undefined && subtotal < minOrderAmount) {
+    reasons.push(reason('below_minimum_order', {
+      minOrderAmount,
+      subtotal: roundAmount(subtotal),
+      shortfall: roundAmount(minOrderAmount - subtotal)
+    }));
+  }
+
+  return {
+    serviceable: reasons.length === 0,
+    distance,
+    reasons
+  };
+};
+
+module.exports = {
+  isProductAvailableFor,
+  checkServiceability
+};
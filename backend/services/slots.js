@@ -0,0 +1,133 @@
+const SlotReservation = require('../models/SlotReservation');
+const { getLocalParts, addDays } = require('./timezone');
+const { getStoreTimezone, getOpeningIntervals } = require('./storeHours');
+
+// Slots a store offers on a calendar date (in the store's timezone), ignoring
+// bookings. Slots that start before now + lead time or beyond daysAhead are left out.
+const getSlotTemplate = (store, date, now = new Date()) => {
+  const settings = store.slotSettings || {};
+  if (!settings.enabled) {
+    return [];
+  }
+
+  const today = getLocalParts(now, getStoreTimezone(store)).date;
+  if (date < today || date > addDays(today, settings.daysAhead)) {
+    return [];
+  }
+
+  const duration = settings.durationMinutes * 60 * 1000;
+  const earliestStart = now.getTime() + settings.leadTimeMinutes * 60 * 1000;
+  const slots = [];
+
+  // Only whole slots fit into each opening interval
+  getOpeningIntervals(store, date).forEach(interval => {
+    for (let start = interval.start.getTime(); start + duration <= interval.end.getTime(); start += duration) {
+      if (start >= earliestStart) {
+        slots.push({ start: new Date(start), end: new Date(start + duration) });
+      }
+    }
+  });
+
+  return slots;
+};
+
+// Slots for a date with how many places are left in each
+const getSlotAvailability = async (store, date, now = new Date()) => {
+  const slots = getSlotTemplate(store, date, now);
+  if (slots.length === 0) {
+    return [];
+  }
+
+  const reservations = await SlotReservation.find({
+    store: store._id,
+    start: { $in: slots.map(slot => slot.start) }
+  });
+  const booked = new Map(reservations.map(reservation => [reservation.start.getTime(), reservation.booked]));
+  const capacity = store.slotSettings.capacity;
+
+  return slots.map(slot => {
+    const taken = booked.get(slot.start.getTime()) || 0;
+    return {
+      ...slot,
+      capacity,
+      booked: taken,
+      remaining: Math.max(capacity - taken, 0),
+      available: taken < capacity
+    };
+  });
+};
+
+// The store slot starting at an instant, or null if the store offers no such slot
+const findSlot = (store, start, now = new Date()) => {
+  if (Number.isNaN(start.getTime())) {
+    return null;
+  }
+
+  const date = getLocalParts(start, getStoreTimezone(store)).date;
+  // Overnight slots may belong to the previous day's hours
+  const candidates = [
+    ...getSlotTemplate(store, date, now),
+    ...getSlotTemplate(store, addDays(date, -1), now)
+  ];
+
+  return candidates.find(slot => slot.start.getTime() === start.getTime()) || null;
+};
+
+// Whether any slot can still be booked within the store's booking window
+const hasBookableSlots = (store, now = new Date()) => {
+  const settings = store.slotSettings || {};
+  if (!settings.enabled) {
+    return false;
+  }
+
+  const today = getLocalParts(now, getStoreTimezone(store)).date;
+  for (let offset = 0; offset <= settings.daysAhead; offset++) {
+    if (getSlotTemplate(store, addDays(today, offset), now).length > 0) {
+      return true;
+    }
+  }
+  return false;
+};
+
+// Take a place in a slot; false when it is full
+const reserveSlot = (store, slot) => {
+  return SlotReservation.reserve(store._id, slot.start, store.slotSettings.capacity);
+};
+
+// Give a place back
+const releaseSlot = (store, slot) => {
+  return SlotReservation.release(store._id, slot.start);
+};
+
+// Give back the place held by an order, once; the caller saves the order
+// (in the same transaction when a session is given)
+const releaseOrderSlot = async (order, session = null) => {
+  const slot = order.delivery.slot;
+  if (!slot || !slot.start || slot.released) {
+    return;
+  }
+
+  await SlotReservation.release(order.store._id || order.store, slot.start, session);
+  slot.released = true;
+};
+
+// When the order is expected: the booked slot, or lead time from now for ASAP orders.
+// Deliveries are expected by the end of their slot, pickups from its start.
+const getEstimatedTime = (store, deliveryType, slot, now = new Date()) => {
+  if (slot) {
+    return deliveryType === 'delivery' ? slot.end : slot.start;
+  }
+  const leadTimeMinutes = (store.slotSettings && store.slotSettings.leadTimeMinutes) || 30;
+  return new Date(now.getTime() + leadTimeMinutes * 60 * 1000);
+};
+
+module.exports = {
+  getSlotTemplate,
+  getSlotAvailability,
+  findSlot,
+  hasBookableSlots,
+  reserveSlot,
+  releaseSlot,
+  releaseOrderSlot,
+  getEstimatedTime
+};
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const { getStoreHoursStatus } = require('./storeHours');
+
+// Sort field and direction for each sort option; ties are broken by _id
+const SORTS = {
+  distance: { field: 'distance', direction: 1 },
+  rating: { field: 'rating.average', direction: -1 },
+  popularity: { field: 'stats.totalOrders', direction: -1 }
+};
+
+// Open-now is computed after the query, so filtered pages are filled from a
+// few batches at most; the cursor then resumes after the last store scanned
+const FILTER_BATCH_SIZE = 50;
+const MAX_FILTER_BATCHES = 5;
+
+const getSortValue = (store, field) => field.split('.').reduce((value, key) => (value ? value[key] : undefined), store);
+
+const encodeCursor = (store, sort) => Buffer.from(JSON.stringify({
+  value: getSortValue(store, SORTS[sort].field) || 0,
+  id: store._id.toString()
+})).toString('base64url');
+
+// Returns { value, id } or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof decoded.value !== 'number' || !/^[a-f\d]{24}$/i.test(decoded.id)) {
+      return null;
+    }
+    return decoded;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Stores strictly after the cursor in sort order
+const afterCursor = (cursor, sort) => {
+  const { field, direction } = SORTS[sort];
+  const id = new mongoose.Types.ObjectId(cursor.id);
+  return {
+    $or: [
+      { [field]: { [direction === 1 ? '$gt' : '$lt']: cursor.value } },
+      { [field]: cursor.value, _id: { $gt: id } }
+    ]
+  };
+};
+
+// Find active, verified stores around a point, nearest first by default.
+// options:
+//   coordinates: [lng, lat] distances are measured from
+//   radius:      km around the point (ignored when bbox is given)
+//   bbox:        [minLng, minLat, maxLng, maxLat] visible map region
+//   category, delivery, minRating, openNow: filters
+//   sort:        'distance' | 'rating' | 'popularity'
+//   limit, cursor (as returned in nextCursor)
+// Returns { stores, nextCursor }; each store carries distance (km) and its
+// current isOpen/opensAt/closesAt.
+const findNearbyStores = async ({
+  coordinates,
+  radius = 10,
+  bbox,
+  category,
+  delivery,
+  minRating,
+  openNow = false,
+  sort = 'distance',
+  limit = 20,
+  cursor,
+  at = new Date()
+}) => {
+  const query = Store.publicFilter();
+  if (category) {
+    query.category = category;
+  }
+  if (delivery) {
+    query['services.delivery'] = true;
+  }
+  if (minRating !== undefined) {
+    query['rating.average'] = { $gte: minRating };
+  }
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    query['address.coordinates'] = {
+      $geoWithin: {
+        $geometry: {
+          type: 'Polygon',
+          coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+        }
+      }
+    };
+  }
+
+  const geoNear = {
+    near: { type: 'Point', coordinates },
+    key: 'address.coordinates',
+    distanceField: 'distance',
+    distanceMultiplier: 0.001,
+    spherical: true,
+    query
+  };
+  if (!bbox) {
+    geoNear.maxDistance = radius * 1000;
+  }
+
+  const { field, direction } = SORTS[sort];
+  const batchSize = openNow ? FILTER_BATCH_SIZE : limit + 1;
+
+  const stores = [];
+  let after = cursor;
+  let lastScanned = null;
+  let exhausted = false;
+
+  for (let batch = 0; batch < MAX_FILTER_BATCHES && stores.length <= limit; batch++) {
+    const pipeline = [
+      { $geoNear: geoNear },
+      ...(after ? [{ $match: afterCursor(after, sort) }] : []),
+      { $sort: { [field]: direction, _id: 1 } },
+      { $limit: batchSize },
+      { $project: Store.publicProjection() }
+    ];
+
+    const results = await Store.aggregate(pipeline);
+
+    for (const store of results) {
+      lastScanned = store;
+      const hours = getStoreHoursStatus(store, at);
+      if (openNow && !hours.isOpen) {
+        continue;
+      }
+      stores.push({
+        ...store,
+        isOpen: hours.isOpen,
+        opensAt: hours.opensAt,
+        closesAt: hours.closesAt
+      });
+      if (stores.length > limit) {
+        break;
+      }
+    }
+
+    if (results.length < batchSize) {
+      exhausted = true;
+      break;
+    }
+    after = { value: getSortValue(lastScanned, field) || 0, id: lastScanned._id.toString() };
+  }
+
+  let nextCursor = null;
+  if (stores.length > limit) {
+    stores.length = limit;
+    nextCursor = encodeCursor(stores[limit - 1], sort);
+  } else if (!exhausted && lastScanned) {
+    // Ran out of batches before filling the page
+    nextCursor = encodeCursor(lastScanned, sort);
+  }
+
+  stores.forEach(store => {
+    store.distance = Math.round(store.distance * 100) / 100;
+  });
+  await Store.populate(stores, { path: 'owner', select: 'profile firstName lastName' });
+
+  return { stores, nextCursor };
+};
+
+module.exports = {
+  SORTS,
+  decodeCursor,
+  findNearbyStores
+};
@@ -0,0 +1,102 @@
+const { DEFAULT_TIMEZONE, TIME_OF_DAY, DAYS, getLocalParts, getDayName, addDays, toMinutes, zonedTimeToUtc } = require('./timezone');
+
+// How far ahead to look for the next opening (covers long holiday closures)
+const MAX_LOOKAHEAD_DAYS = 31;
+
+// Stores created before timezones were configurable use the default
+const getStoreTimezone = (store) => store.timezone || DEFAULT_TIMEZONE;
+
+// Legacy stores may hold free-text times such as '9:00 AM'; those are ignored
+const isValidInterval = (interval) => TIME_OF_DAY.test(interval.open) && TIME_OF_DAY.test(interval.close);
+
+// Open/close pairs configured for a weekday. Days either list intervals or use
+// the single open/close pair.
+const getDayIntervals = (hours) => {
+  if (!hours || hours.isOpen === false) {
+    return [];
+  }
+  if (hours.intervals && hours.intervals.length > 0) {
+    return hours.intervals.filter(isValidInterval);
+  }
+  if (hours.open && hours.close) {
+    return [{ open: hours.open, close: hours.close }].filter(isValidInterval);
+  }
+  return [];
+};
+
+// Whether the store has a weekly schedule (days marked closed count). Stores
+// that never set hours, or only hold unreadable legacy times, are open all day.
+const ALL_DAY = { open: '00:00', close: '00:00' };
+
+const hasConfiguredHours = (store) => {
+  const week = store.operatingHours || {};
+  return DAYS.some(day => week[day] && (week[day].isOpen === false || getDayIntervals(week[day]).length > 0));
+};
+
+const isHoliday = (store, date) => {
+  return (store.holidays || []).some(holiday => holiday.date === date);
+};
+
+// Opening periods that start on a local calendar date, as instants sorted by
+// start. A close at or before the open time runs past midnight.
+const getOpeningIntervals = (store, date) => {
+  if (isHoliday(store, date)) {
+    return [];
+  }
+
+  const timezone = getStoreTimezone(store);
+  const hours = store.operatingHours && store.operatingHours[getDayName(date)];
+  const intervals = hasConfiguredHours(store) ? getDayIntervals(hours) : [ALL_DAY];
+
+  return intervals
+    .map(interval => {
+      const open = toMinutes(interval.open);
+      let close = toMinutes(interval.close);
+      if (close <= open) {
+        close += 24 * 60;
+      }
+      return {
+        start: zonedTimeToUtc(date, interval.open, timezone),
+        end: zonedTimeToUtc(date, `${Math.floor(close / 60)}:${close % 60}`, timezone)
+      };
+    })
+    .sort((a, b) => a.start - b.start);
+};
+
+// Whether the store is open at an instant and when it next opens or closes.
+// Returns { isOpen, opensAt, closesAt }; opensAt is null when open or when no
+// opening is scheduled within MAX_LOOKAHEAD_DAYS.
+const getStoreHoursStatus = (store, at = new Date()) => {
+  const today = getLocalParts(at, getStoreTimezone(store)).date;
+  const time = at.getTime();
+
+  // Yesterday's overnight hours can still be running
+  const current = [
+    ...getOpeningIntervals(store, addDays(today, -1)),
+    ...getOpeningIntervals(store, today)
+  ].find(interval => interval.start.getTime() <= time && time < interval.end.getTime());
+
+  if (current) {
+    // Stores open all day do not close at midnight
+    return { isOpen: true, opensAt: null, closesAt: hasConfiguredHours(store) ? current.end : null };
+  }
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const next = getOpeningIntervals(store, addDays(today, offset))
+      .find(interval => interval.start.getTime() > time);
+    if (next) {
+      return { isOpen: false, opensAt: next.start, closesAt: null };
+    }
+  }
+
+  return { isOpen: false, opensAt: null, closesAt: null };
+};
+
+const isStoreOpen = (store, at = new Date()) => getStoreHoursStatus(store, at).isOpen;
+
+module.exports = {
+  getStoreTimezone,
+  getOpeningIntervals,
+  getStoreHoursStatus,
+  isStoreOpen
+};
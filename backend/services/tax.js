@@ -0,0 +1,93 @@
+// GST calculation for a single store order.
+//
+// Product prices may include GST (the usual MRP case) or exclude it; only the
+// excluded part is added to the order total, but the breakdown always reports
+// the full tax collected so it can be printed on the invoice.
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalizeState = (state) => (state || '').trim().toLowerCase();
+
+// Sellers outside the regular GST scheme cannot collect tax from customers
+const getTaxScheme = (store) => {
+  const details = store.businessDetails || {};
+  if (!details.gstin) return 'unregistered';
+  if (details.compositionScheme) return 'composition';
+  return 'regular';
+};
+
+// Intra-state supplies pay CGST + SGST, inter-state supplies pay IGST.
+// Pickup orders are always supplied in the store's state.
+const getSupplyType = (store, deliveryType, deliveryAddress) => {
+  if (deliveryType !== 'delivery' || !deliveryAddress || !deliveryAddress.state) {
+    return 'intra_state';
+  }
+  return normalizeState(deliveryAddress.state) === normalizeState(store.address.state)
+    ? 'intra_state'
+    : 'inter_state';
+};
+
+// items: [{ total, tax: { hsnCode, gstRate, priceIncludesTax } }]
+// discount is spread over items in proportion to their totals before tax.
+// Returns { items: [{ hsnCode, rate, taxableValue, amount }], breakdown, additionalTax }
+const calculateGst = ({ items, discount = 0, store, deliveryType, deliveryAddress }) => {
+  const scheme = getTaxScheme(store);
+  const supplyType = getSupplyType(store, deliveryType, deliveryAddress);
+  const subtotal = items.reduce((total, item) => total + item.total, 0);
+  const discountRatio = subtotal > 0 ? Math.min(discount, subtotal) / subtotal : 0;
+
+  let taxableValue = 0;
+  let totalTax = 0;
+  let additionalTax = 0;
+
+  const itemTaxes = items.map(item => {
+    const tax = item.tax || {};
+    const rate = scheme === 'regular' ? (tax.gstRate || 0) : 0;
+    const gross = item.total * (1 - discountRatio);
+
+    let taxable;
+    let amount;
+    if (tax.priceIncludesTax === false) {
+      taxable = gross;
+      amount = gross * rate / 100;
+      additionalTax += amount;
+    } else {
+      taxable = gross / (1 + rate / 100);
+      amount = gross - taxable;
+    }
+
+    taxableValue += taxable;
+    totalTax += amount;
+
+    return {
+      hsnCode: tax.hsnCode,
+      rate,
+      taxableValue: round(taxable),
+      amount: round(amount)
+    };
+  });
+
+  totalTax = round(totalTax);
+  const halfTax = round(totalTax / 2);
+
+  return {
+    items: itemTaxes,
+    breakdown: {
+      scheme,
+      supplyType,
+      taxableValue: round(taxableValue),
+      cgst: supplyType === 'intra_state' ? halfTax : 0,
+      sgst: supplyType === 'intra_state' ? round(totalTax - halfTax) : 0,
+      igst: supplyType === 'inter_state' ? totalTax : 0,
+      totalTax
+    },
+    additionalTax: round(additionalTax)
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  calculateGst
+};
@@ -0,0 +1,101 @@
+// Wall-clock helpers for IANA timezones, built on Intl so no tz database is
+// bundled. Dates are 'YYYY-MM-DD' and times 'HH:MM' in the given timezone.
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+const TIME_OF_DAY = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const formatters = {};
+
+const getFormatter = (timezone) => {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  return formatters[timezone];
+};
+
+// Throws a RangeError for names Intl does not know
+const isValidTimezone = (timezone) => {
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Local calendar date, weekday and time of an instant
+const getLocalParts = (at, timezone = DEFAULT_TIMEZONE) => {
+  const parts = {};
+  getFormatter(timezone).formatToParts(at).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date,
+    day: getDayName(date),
+    time: `${parts.hour}:${parts.minute}`,
+    seconds: Number(parts.second)
+  };
+};
+
+// Weekday name of a calendar date
+const getDayName = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return DAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+// Calendar date a number of days after another one
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Offset of the timezone from UTC at an instant, in minutes
+const getOffsetMinutes = (at, timezone) => {
+  const local = getLocalParts(at, timezone);
+  const [year, month, day] = local.date.split('-').map(Number);
+  const localAsUtc = Date.UTC(year, month - 1, day) + toMinutes(local.time) * 60 * 1000 + local.seconds * 1000;
+  return Math.round((localAsUtc - Math.floor(at.getTime() / 1000) * 1000) / 60000);
+};
+
+// Instant at which the wall clock in the timezone shows the date and time.
+// Minutes may exceed 24:00 to address the following day (e.g. '26:00').
+const zonedTimeToUtc = (date, time, timezone = DEFAULT_TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day) + toMinutes(time) * 60 * 1000;
+
+  // Correct twice so instants next to a DST change land on the right offset
+  let instant = wallClock - getOffsetMinutes(new Date(wallClock), timezone) * 60 * 1000;
+  instant = wallClock - getOffsetMinutes(new Date(instant), timezone) * 60 * 1000;
+  return new Date(instant);
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  TIME_OF_DAY,
+  DAYS,
+  isValidTimezone,
+  getLocalParts,
+  getDayName,
+  addDays,
+  toMinutes,
+  zonedTimeToUtc
+};
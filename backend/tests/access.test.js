@@ -0,0 +1,83 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const StoreMember = require('../models/StoreMember');
+const accessEvents = require('../services/accessEvents');
+const { createWorld, mockModels, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, stores } = world;
+
+let events;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  events = [];
+  ['session_revoked', 'user_sessions_revoked', 'membership_removed'].forEach(name => {
+    accessEvents.on(name, (...args) => events.push([name, ...args]));
+  });
+});
+
+afterEach(() => {
+  accessEvents.removeAllListeners();
+  jest.restoreAllMocks();
+});
+
+const sessionOf = (token) => jwt.decode(token).sessionId;
+
+describe('revoking access', () => {
+  it('announces a logout', async () => {
+    const token = world.tokenFor(users.customer);
+    jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(events).toEqual([['session_revoked', expect.anything()]]);
+    expect(String(events[0][1])).toBe(sessionOf(token));
+  });
+
+  it('announces logging out every other device', async () => {
+    const token = world.tokenFor(users.customer);
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 2 });
+
+    const res = await request(app).delete('/api/auth/sessions').set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(events).toHaveLength(1);
+    const [name, userId, exceptSessionId] = events[0];
+    expect(name).toBe('user_sessions_revoked');
+    expect(String(userId)).toBe(String(users.customer._id));
+    expect(String(exceptSessionId)).toBe(sessionOf(token));
+  });
+
+  it('announces a suspension', async () => {
+    jest.spyOn(User.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+
+    const res = await request(app)
+      .post(`/api/admin/users/${users.partner._id}/suspend`)
+      .set('Authorization', `Bearer ${world.tokenFor(users.admin)}`)
+      .send({ reason: 'Fraud' });
+
+    expect(res.status).toBe(200);
+    expect(events).toEqual([['user_sessions_revoked', users.partner._id, undefined]]);
+  });
+
+  it('announces a member leaving a store', async () => {
+    const member = world.memberships.find(membership => String(membership.user) === String(users.packerB._id));
+    jest.spyOn(StoreMember.prototype, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+    const res = await request(app)
+      .delete(`/api/stores/${stores.B._id}/members/${member._id}`)
+      .set('Authorization', `Bearer ${world.tokenFor(users.ownerB)}`);
+
+    expect(res.status).toBe(200);
+    expect(events).toEqual([['membership_removed', member]]);
+  });
+});
@@ -0,0 +1,34 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const { createWorld, mockModels, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, B } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/delivery/orders/:id/pickup', () => {
+  it('does not hand the customer\'s handover code to the partner', async () => {
+    B.order.status = 'ready';
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app)
+      .post(`/api/delivery/orders/${B.order._id}/pickup`)
+      .set('Authorization', `Bearer ${world.tokenFor(users.partner)}`)
+      .send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.order.status).toBe('out_for_delivery');
+    expect(res.body.order.delivery.otp).toBeUndefined();
+  });
+});
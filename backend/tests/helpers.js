@@ -0,0 +1,169 @@
+// Shared setup for route tests. There is no database: model statics are
+// replaced with spies answering from an in-memory set of documents, and any
+// query that is not mocked fails at once instead of waiting for a connection.
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Store = require('../models/Store');
+const StoreMember = require('../models/StoreMember');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const Coupon = require('../models/Coupon');
+const { generateToken } = require('../middlewares/auth');
+
+mongoose.set('bufferCommands', false);
+
+const id = () => new mongoose.Types.ObjectId();
+
+const sameId = (a, b) => Boolean(a && b) && String(a._id || a) === String(b._id || b);
+
+// Stand-in for a mongoose query: chainable like one and awaitable
+const mockQuery = (value) => {
+  const query = {
+    exec: () => Promise.resolve(value),
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject)
+  };
+  ['select', 'populate', 'sort', 'skip', 'limit', 'lean', 'session'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+const createUser = (userType, overrides = {}) => new User({
+  phone: `9${String(Math.floor(Math.random() * 1e9)).padStart(9, '0')}`,
+  userType,
+  isVerified: true,
+  isActive: true,
+  ...overrides
+});
+
+const createStore = (owner, name) => new Store({
+  owner: owner._id,
+  name,
+  category: 'grocery',
+  isVerified: true,
+  verification: { status: 'approved' }
+});
+
+// Two tenants: owner A runs store A, owner B runs store B (with a packer and a
+// staff member), each with a product, an order, a refund and a coupon, plus a
+// customer, the delivery partner assigned to the orders and a platform admin
+const createWorld = () => {
+  const ownerA = createUser('store_owner');
+  const ownerB = createUser('store_owner');
+  const packerB = createUser('store_owner');
+  const staffB = createUser('store_owner');
+  const customer = createUser('customer');
+  const partner = createUser('delivery_partner');
+  const admin = createUser('admin');
+  const storeA = createStore(ownerA, 'Store A');
+  const storeB = createStore(ownerB, 'Store B');
+
+  const memberships = [
+    new StoreMember({ store: storeA._id, user: ownerA._id, role: 'owner' }),
+    new StoreMember({ store: storeB._id, user: ownerB._id, role: 'owner' }),
+    new StoreMember({ store: storeB._id, user: packerB._id, role: 'packer' }),
+    new StoreMember({ store: storeB._id, user: staffB._id, role: 'staff' })
+  ];
+
+  const resourcesFor = (store) => {
+    const product = new Product({ store: store._id, name: `${store.name} product`, pricing: { mrp: 100, sellingPrice: 90 } });
+    const order = new Order({
+      orderNumber: `MLM${id()}`,
+      customer: customer._id,
+      store: store._id,
+      items: [{ product: product._id, quantity: 1, price: 90, total: 90 }],
+      pricing: { subtotal: 90, total: 90 },
+      delivery: { type: 'delivery', partner: partner._id }
+    });
+    const refund = new Refund({
+      order: order._id,
+      customer: customer._id,
+      store: store._id,
+      type: 'full',
+      amount: 90,
+      reason: 'Damaged'
+    });
+    const coupon = new Coupon({
+      code: `SAVE${String(store._id).slice(-6).toUpperCase()}`,
+      store: store._id,
+      discount: { type: 'flat', value: 10 }
+    });
+    return { product, order, refund, coupon };
+  };
+
+  return {
+    users: { ownerA, ownerB, packerB, staffB, customer, partner, admin },
+    stores: { A: storeA, B: storeB },
+    memberships,
+    A: resourcesFor(storeA),
+    B: resourcesFor(storeB)
+  };
+};
+
+const findIn = (documents) => (queryId) => documents.find(doc => sameId(doc, queryId)) || null;
+
+// Answer the lookups the auth middleware, policies and loaders make from the world
+const mockModels = (world) => {
+  const users = Object.values(world.users);
+  const sessions = users.map(user => new Session({
+    user: user._id,
+    refreshTokenHash: 'hash',
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+  }));
+  const resources = [world.A, world.B];
+
+  world.tokenFor = (user) => generateToken(user._id, sessions.find(session => sameId(session.user, user))._id);
+
+  jest.spyOn(User, 'findById').mockImplementation(userId => mockQuery(findIn(users)(userId)));
+  jest.spyOn(Session, 'findById').mockImplementation(sessionId => mockQuery(findIn(sessions)(sessionId)));
+  // Memberships are looked up by store and user, or by _id within a store
+  jest.spyOn(StoreMember, 'findOne').mockImplementation(filter => mockQuery(
+    world.memberships.find(member => ['_id', 'store', 'user']
+      .filter(key => key in filter)
+      .every(key => sameId(member[key], filter[key]))) || null
+  ));
+  jest.spyOn(StoreMember, 'find').mockImplementation(filter => mockQuery(
+    world.memberships.filter(member => sameId(member.user, filter.user))
+  ));
+  jest.spyOn(Store, 'findById').mockImplementation(storeId => mockQuery(findIn(Object.values(world.stores))(storeId)));
+  jest.spyOn(Product, 'findById').mockImplementation(productId => mockQuery(findIn(resources.map(r => r.product))(productId)));
+  jest.spyOn(Order, 'findById').mockImplementation(orderId => mockQuery(findIn(resources.map(r => r.order))(orderId)));
+  jest.spyOn(Refund, 'findById').mockImplementation(refundId => mockQuery(findIn(resources.map(r => r.refund))(refundId)));
+  jest.spyOn(Coupon, 'findById').mockImplementation(couponId => mockQuery(findIn(resources.map(r => r.coupon))(couponId)));
+
+  return world;
+};
+
+// The API routers without the server's database connection and sockets
+const createApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.use('/api/auth', require('../routes/auth'));
+  app.use('/api/stores', require('../routes/stores'));
+  app.use('/api/products', require('../routes/products'));
+  app.use('/api/orders', require('../routes/orders'));
+  app.use('/api/refunds', require('../routes/refunds'));
+  app.use('/api/coupons', require('../routes/coupons'));
+  app.use('/api/delivery', require('../routes/delivery'));
+  app.use('/api/payments', require('../routes/payments'));
+  app.use('/api/admin', require('../routes/admin'));
+  return app;
+};
+
+module.exports = {
+  id,
+  mockQuery,
+  createUser,
+  createWorld,
+  mockModels,
+  createApp
+};
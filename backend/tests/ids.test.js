@@ -0,0 +1,47 @@
+const request = require('supertest');
+const { createWorld, mockModels, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const send = (method, path, user) => {
+  const req = request(app)[method](path);
+  return user ? req.set('Authorization', `Bearer ${world.tokenFor(user)}`) : req;
+};
+
+describe('malformed ids', () => {
+  it.each([
+    ['delete', '/api/auth/sessions/not-an-id', 'customer'],
+    ['get', '/api/stores/not-an-id', null],
+    ['post', '/api/stores/not-an-id/serviceability', null],
+    ['get', '/api/stores/not-an-id/slots', null],
+    ['put', '/api/stores/not-an-id', 'ownerB'],
+    ['get', '/api/admin/stores/not-an-id/verification', 'admin'],
+    ['post', '/api/admin/stores/not-an-id/verification/claim', 'admin'],
+    ['post', '/api/admin/stores/not-an-id/verification/notes', 'admin'],
+    ['patch', '/api/admin/stores/not-an-id/verification', 'admin'],
+    ['post', '/api/admin/users/not-an-id/suspend', 'admin'],
+    ['post', '/api/admin/users/not-an-id/reactivate', 'admin'],
+    ['patch', '/api/admin/moderation/products/not-an-id/review', 'admin'],
+    ['post', '/api/delivery/orders/not-an-id/accept', 'partner'],
+    ['post', '/api/delivery/orders/not-an-id/reject', 'partner'],
+    ['post', '/api/delivery/orders/not-an-id/pickup', 'partner'],
+    ['post', '/api/delivery/orders/not-an-id/deliver', 'partner']
+  ])('%s %s is rejected with 400', async (method, path, user) => {
+    const res = await send(method, path, user && users[user]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Invalid id');
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
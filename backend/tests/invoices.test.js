@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Order = require('../models/Order');
+const { createWorld, mockQuery } = require('./helpers');
+
+const world = createWorld();
+const { B } = world;
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('assignInvoiceNumber', () => {
+  it.each([
+    ['2027-03-31T18:29:00Z', '2026-27'],
+    ['2027-03-31T18:31:00Z', '2027-28']
+  ])('numbers an invoice issued at %s in the %s series', async (issuedAt, financialYear) => {
+    jest.useFakeTimers({ now: new Date(issuedAt), doNotFake: ['nextTick', 'setImmediate'] });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: (callback) => callback(),
+      abortTransaction: jest.fn(),
+      endSession: jest.fn()
+    });
+    jest.spyOn(Counter, 'next').mockResolvedValue(7);
+    const order = new Order(B.order.toObject());
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(order);
+    jest.spyOn(Order, 'findById').mockReturnValue(mockQuery({ invoice: { number: `${financialYear}/00007` } }));
+
+    await order.assignInvoiceNumber();
+
+    expect(Counter.next).toHaveBeenCalledWith(`invoice:${B.order.store}:${financialYear}`, expect.anything());
+  });
+});
@@ -0,0 +1,120 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Cart = require('../models/Cart');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const Store = require('../models/Store');
+const SlotReservation = require('../models/SlotReservation');
+const { createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, stores, B } = world;
+
+// A session whose transaction runs the callback the given number of times,
+// as the driver does when a transient error makes it retry
+const mockSession = (runs = 1) => ({
+  withTransaction: async (callback) => {
+    for (let run = 0; run < runs; run++) {
+      await callback();
+    }
+  },
+  abortTransaction: jest.fn(),
+  endSession: jest.fn()
+});
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Product, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(Store, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(SlotReservation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+  B.order.status = 'pending';
+  B.order.delivery.slot = { start: new Date('2026-10-20T10:00:00Z'), end: new Date('2026-10-20T11:00:00Z') };
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const cancel = () => request(app)
+  .patch(`/api/orders/${B.order._id}/cancel`)
+  .set('Authorization', `Bearer ${world.tokenFor(users.customer)}`)
+  .send({ reason: 'Ordered by mistake' });
+
+describe('PATCH /api/orders/:id/cancel', () => {
+  it('frees the order slot in the transaction', async () => {
+    const session = mockSession();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(SlotReservation.updateOne).toHaveBeenCalledWith(
+      expect.objectContaining({ store: stores.B._id }),
+      { $inc: { booked: -1 } },
+      { session }
+    );
+  });
+
+  it('takes the order out of the store stats in the transaction', async () => {
+    const session = mockSession();
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(Store.updateOne).toHaveBeenCalledWith(
+      { _id: stores.B._id },
+      { $inc: { 'stats.totalOrders': -1, 'stats.totalRevenue': -90 } },
+      { session }
+    );
+  });
+
+  it('frees the slot again when the transaction is retried', async () => {
+    const session = mockSession(2);
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue(session);
+
+    const res = await cancel();
+
+    expect(res.status).toBe(200);
+    expect(SlotReservation.updateOne).toHaveBeenCalledTimes(2);
+    expect(B.order.delivery.slot.released).toBe(true);
+  });
+});
+
+describe('POST /api/orders/checkout', () => {
+  it('reports items whose price changed as skipped and keeps them in the cart', async () => {
+    const cart = new Cart({
+      user: users.customer._id,
+      items: [{ product: B.product._id, quantity: 2, price: 80 }]
+    });
+    cart.items[0].product = B.product;
+    jest.spyOn(Cart, 'findOne').mockReturnValue(mockQuery(cart));
+    jest.spyOn(Cart.prototype, 'save');
+    jest.spyOn(mongoose, 'startSession');
+
+    const res = await request(app)
+      .post('/api/orders/checkout')
+      .set('Authorization', `Bearer ${world.tokenFor(users.customer)}`)
+      .send({ deliveryType: 'pickup' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.reason).toBe('price_changed');
+    expect(res.body.skipped).toEqual([{
+      product: String(B.product._id),
+      name: B.product.name,
+      quantity: 2,
+      reason: 'price_changed',
+      oldPrice: 80,
+      newPrice: 90
+    }]);
+    expect(mongoose.startSession).not.toHaveBeenCalled();
+    expect(Cart.prototype.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { getGateway, createIntentForOrders, applyPaymentEvent } = require('../services/payments');
+const { createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, A, B } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createIntentForOrders', () => {
+  it('keeps the intent it replaces', async () => {
+    A.order.payment = { method: 'online', status: 'failed', gateway: 'fake', intentId: 'fake_order_first' };
+    jest.spyOn(Order, 'bulkWrite').mockResolvedValue({});
+
+    const payment = await createIntentForOrders([A.order]);
+
+    const [[operations]] = Order.bulkWrite.mock.calls;
+    expect(operations[0].updateOne.update).toEqual({
+      $set: { 'payment.gateway': 'fake', 'payment.intentId': payment.id, 'payment.status': 'pending' },
+      $push: { 'payment.previousIntents': { gateway: 'fake', intentId: 'fake_order_first' } }
+    });
+  });
+});
+
+describe('applyPaymentEvent', () => {
+  it('settles orders through a replaced intent', async () => {
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([B.order]));
+    jest.spyOn(Order, 'updateMany').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    await applyPaymentEvent('fake', { eventId: 'evt_1', intentId: 'fake_order_first', transactionId: 'pay_1', status: 'paid', amount: 90 });
+
+    const [[query]] = Order.updateMany.mock.calls;
+    expect(query.$or).toContainEqual({
+      'payment.previousIntents': { $elemMatch: { gateway: 'fake', intentId: 'fake_order_first' } }
+    });
+  });
+});
+
+describe('POST /api/payments/webhooks/:gateway', () => {
+  it('refunds a payment captured after the order was cancelled', async () => {
+    const gateway = getGateway('fake');
+    const intent = await gateway.createPaymentIntent({ amount: 90 });
+    const webhook = gateway.buildWebhook(intent.id);
+
+    B.order.status = 'cancelled';
+    B.order.payment = { method: 'online', status: 'paid', gateway: 'fake', intentId: intent.id, transactionId: webhook.body.transactionId };
+    jest.spyOn(Order, 'find').mockReturnValue(mockQuery([B.order]));
+    jest.spyOn(Order, 'updateMany').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Order, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Refund, 'find').mockReturnValue(mockQuery([]));
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await request(app)
+      .post('/api/payments/webhooks/fake')
+      .set('Content-Type', 'application/json')
+      .set(webhook.headers)
+      .send(webhook.rawBody);
+
+    expect(res.status).toBe(200);
+    expect(Order.find).toHaveBeenCalledWith(expect.objectContaining({
+      'payment.transactionId': webhook.body.transactionId,
+      status: 'cancelled'
+    }));
+    const [refund] = Refund.prototype.save.mock.contexts;
+    expect(String(refund.order)).toBe(String(B.order._id));
+    expect(refund.reason).toBe('Payment received after the order was cancelled');
+  });
+});
+
+describe('GET /api/payments/orders/:id', () => {
+  it('rejects malformed ids', async () => {
+    const res = await request(app)
+      .get('/api/payments/orders/not-an-id')
+      .set('Authorization', `Bearer ${world.tokenFor(users.customer)}`);
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,127 @@
+const StoreMember = require('../models/StoreMember');
+const { can } = require('../services/policy');
+const { createUser, createWorld, mockModels } = require('./helpers');
+
+const world = createWorld();
+const { users, stores, A, B } = world;
+
+beforeEach(() => {
+  mockModels(world);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const memberOf = (store, user, role) => new StoreMember({ store: store._id, user: user._id, role });
+
+describe('customers', () => {
+  const { customer } = users;
+
+  it.each(['order.read', 'order.cancel', 'order.rate', 'order.invoice', 'refund.request'])(
+    'may %s their own order',
+    async (action) => {
+      expect(await can(customer, action, B.order)).toBe(true);
+    }
+  );
+
+  it('cannot act on the order of another customer', async () => {
+    const other = createUser('customer');
+
+    expect(await can(other, 'order.read', B.order)).toBe(false);
+    expect(await can(other, 'order.cancel', B.order)).toBe(false);
+    expect(await can(other, 'refund.request', B.order)).toBe(false);
+  });
+
+  it.each([
+    ['order.updateStatus', () => B.order],
+    ['refund.review', () => B.refund],
+    ['coupon.update', () => B.coupon],
+    ['product.update', () => B.product],
+    ['store.update', () => stores.B]
+  ])('cannot %s', async (action, resource) => {
+    expect(await can(customer, action, resource())).toBe(false);
+  });
+});
+
+describe('delivery partners', () => {
+  const { partner } = users;
+
+  it('may read the orders assigned to them', async () => {
+    expect(await can(partner, 'order.read', B.order)).toBe(true);
+  });
+
+  it('cannot read orders assigned to someone else', async () => {
+    const other = createUser('delivery_partner');
+
+    expect(await can(other, 'order.read', B.order)).toBe(false);
+  });
+
+  it.each(['order.cancel', 'order.invoice', 'order.updateStatus', 'refund.request'])(
+    'cannot %s an assigned order',
+    async (action) => {
+      expect(await can(partner, action, B.order)).toBe(false);
+    }
+  );
+});
+
+describe('store staff', () => {
+  const staff = createUser('store_owner');
+  const staffMember = memberOf(stores.B, staff, 'staff');
+  const packerMember = world.memberships.find(member => member.role === 'packer');
+
+  it('staff may edit products but not their pricing', async () => {
+    expect(await can(staff, 'product.update', B.product, staffMember)).toBe(true);
+    expect(await can(staff, 'product.pricing', B.product, staffMember)).toBe(false);
+  });
+
+  it('packers may only prepare orders', async () => {
+    const { packerB } = users;
+
+    expect(await can(packerB, 'order.prepare', B.order, packerMember)).toBe(true);
+    expect(await can(packerB, 'order.fulfil', B.order, packerMember)).toBe(false);
+    expect(await can(packerB, 'order.reject', B.order, packerMember)).toBe(false);
+    expect(await can(packerB, 'product.update', B.product, packerMember)).toBe(false);
+  });
+
+  it('staff may fulfil but not reject orders', async () => {
+    expect(await can(staff, 'order.fulfil', B.order, staffMember)).toBe(true);
+    expect(await can(staff, 'order.reject', B.order, staffMember)).toBe(false);
+  });
+
+  it.each(['refund.review', 'coupon.update'])('cannot %s', async (action) => {
+    const resource = action === 'refund.review' ? B.refund : B.coupon;
+
+    expect(await can(staff, action, resource, staffMember)).toBe(false);
+    expect(await can(users.packerB, action, resource, packerMember)).toBe(false);
+  });
+
+  it('looks up the membership at the resource store when none is passed', async () => {
+    expect(await can(users.packerB, 'order.read', B.order)).toBe(true);
+    expect(await can(users.packerB, 'order.read', A.order)).toBe(false);
+    expect(StoreMember.findOne).toHaveBeenCalledWith({ store: stores.A._id, user: users.packerB._id });
+  });
+});
+
+describe('store owners', () => {
+  it('may manage their own store only', async () => {
+    expect(await can(users.ownerA, 'store.update', stores.A)).toBe(true);
+    expect(await can(users.ownerA, 'store.update', stores.B)).toBe(false);
+    expect(await can(users.ownerA, 'refund.review', B.refund)).toBe(false);
+    expect(await can(users.ownerA, 'coupon.update', B.coupon)).toBe(false);
+  });
+});
+
+describe('admins', () => {
+  const admin = createUser('admin');
+
+  it('may read any order but not run stores', async () => {
+    expect(await can(admin, 'order.read', B.order)).toBe(true);
+    expect(await can(admin, 'store.update', stores.B)).toBe(false);
+    expect(await can(admin, 'refund.review', B.refund)).toBe(false);
+  });
+});
+
+it('rejects unknown actions', async () => {
+  await expect(can(users.ownerA, 'store.delete', stores.A)).rejects.toThrow('Unknown policy action: store.delete');
+});
@@ -0,0 +1,46 @@
+const request = require('supertest');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { id, createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, stores } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/products', () => {
+  const category = new Category({ name: 'Fruit' });
+  const newProduct = {
+    name: 'Apples',
+    category: String(category._id),
+    pricing: { basePrice: 100, sellingPrice: 90, unit: 'kg' },
+    inventory: { stock: 10 }
+  };
+
+  it.each([
+    [{ rating: { average: 5, count: 1000 } }],
+    [{ isFeatured: true }],
+    [{ moderation: { status: 'approved' } }],
+    [{ store: String(id()) }]
+  ])('refuses to create a product with %j', async (fields) => {
+    jest.spyOn(Category, 'findById').mockReturnValue(mockQuery(category));
+    jest.spyOn(Product.prototype, 'save');
+
+    const res = await request(app)
+      .post('/api/products')
+      .set('Authorization', `Bearer ${world.tokenFor(users.ownerA)}`)
+      .set('X-Store-Id', String(stores.A._id))
+      .send({ ...newProduct, ...fields });
+
+    expect(res.status).toBe(400);
+    expect(Product.prototype.save).not.toHaveBeenCalled();
+  });
+});
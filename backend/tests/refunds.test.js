@@ -0,0 +1,68 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const Refund = require('../models/Refund');
+const { createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, B } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Refund.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => ({ Authorization: `Bearer ${world.tokenFor(user)}` });
+
+describe('POST /api/refunds', () => {
+  beforeEach(() => {
+    B.order.status = 'delivered';
+    B.order.delivery.deliveredAt = new Date();
+    jest.spyOn(Refund, 'find').mockReturnValue(mockQuery([]));
+  });
+
+  it('claims the quantities on the order before saving the refund', async () => {
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 0 });
+
+    const res = await request(app)
+      .post('/api/refunds')
+      .set(as(users.customer))
+      .send({ orderId: String(B.order._id), reason: 'Damaged' });
+
+    expect(res.status).toBe(409);
+    expect(Order.updateOne).toHaveBeenCalledWith(
+      { _id: B.order._id, 'items.0.refundClaimedQuantity': { $not: { $gt: 0 } } },
+      { $inc: { 'items.0.refundClaimedQuantity': 1 } }
+    );
+    expect(Refund.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('PATCH /api/refunds/:id/review', () => {
+  it('lets only one of two concurrent reviews through', async () => {
+    jest.spyOn(Refund, 'findOneAndUpdate')
+      .mockReturnValueOnce(mockQuery(new Refund({ ...B.refund.toObject(), status: 'rejected' })))
+      .mockReturnValue(mockQuery(null));
+    jest.spyOn(Order, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const review = () => request(app)
+      .patch(`/api/refunds/${B.refund._id}/review`)
+      .set(as(users.ownerB))
+      .send({ decision: 'rejected' });
+    const responses = await Promise.all([review(), review()]);
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+    expect(Refund.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: B.refund._id, status: { $in: ['requested', 'failed'] } },
+      expect.anything(),
+      { new: true }
+    );
+  });
+});
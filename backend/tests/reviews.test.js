@@ -0,0 +1,54 @@
+const request = require('supertest');
+const Order = require('../models/Order');
+const { createWorld, mockModels, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, B } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(Order.prototype, 'populate').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  jest.spyOn(Order.prototype, 'save').mockImplementation(function() {
+    return Promise.resolve(this);
+  });
+  B.order.status = 'delivered';
+  B.order.addRating(2, 'Late and cold');
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const getOrder = (user) => request(app)
+  .get(`/api/orders/${B.order._id}`)
+  .set('Authorization', `Bearer ${world.tokenFor(user)}`);
+
+describe('reviews waiting for moderation', () => {
+  it('are shown to their author only', async () => {
+    const asCustomer = await getOrder(users.customer);
+    const asStore = await getOrder(users.ownerB);
+
+    expect(asCustomer.body.order.rating.review).toBe('Late and cold');
+    expect(asStore.status).toBe(200);
+    expect(asStore.body.order.rating.value).toBe(2);
+    expect(asStore.body.order.rating.review).toBeUndefined();
+  });
+});
+
+describe('PATCH /api/admin/moderation/reviews/:orderId/review', () => {
+  it('keeps the score but drops the text of a rejected review', async () => {
+    const res = await request(app)
+      .patch(`/api/admin/moderation/reviews/${B.order._id}/review`)
+      .set('Authorization', `Bearer ${world.tokenFor(users.admin)}`)
+      .send({ decision: 'rejected', reason: 'Abusive' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.rating.value).toBe(2);
+    expect(res.body.rating.moderation.status).toBe('rejected');
+    expect(res.body.rating.review).toBeUndefined();
+  });
+});
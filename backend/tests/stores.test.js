@@ -0,0 +1,76 @@
+const request = require('supertest');
+const Store = require('../models/Store');
+const StoreMember = require('../models/StoreMember');
+const User = require('../models/User');
+const { createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, stores } = world;
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/stores/:id', () => {
+  it('only looks up public stores and leaves out KYC and review data', async () => {
+    const query = mockQuery(null);
+    query.select = jest.fn(() => query);
+    jest.spyOn(Store, 'findOne').mockReturnValue(query);
+
+    const res = await request(app).get(`/api/stores/${stores.B._id}`);
+
+    expect(res.status).toBe(404);
+    expect(Store.findOne).toHaveBeenCalledWith({ _id: String(stores.B._id), isActive: true, isVerified: true });
+    expect(query.select).toHaveBeenCalledWith(expect.objectContaining({
+      businessDetails: 0,
+      verification: 0
+    }));
+  });
+});
+
+describe('POST /api/stores', () => {
+  const newStore = {
+    name: 'Corner Store',
+    category: 'grocery',
+    contact: { phone: '9876543210' },
+    address: { street: '1 Main Road', city: 'Pune', state: 'MH', pincode: '411001', coordinates: [73.85, 18.52] }
+  };
+
+  it.each([
+    [{ rating: { average: 5, count: 1000 } }],
+    [{ stats: { totalOrders: 1000 } }],
+    [{ code: 'BIGBAZ' }],
+    [{ 'verification.status': 'approved' }]
+  ])('refuses to create a store with %j', async (fields) => {
+    jest.spyOn(Store.prototype, 'save');
+
+    const res = await request(app)
+      .post('/api/stores')
+      .set('Authorization', `Bearer ${world.tokenFor(users.ownerA)}`)
+      .send({ ...newStore, ...fields });
+
+    expect(res.status).toBe(400);
+    expect(Store.prototype.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/stores/:id/members', () => {
+  it('refuses to add a customer account as staff', async () => {
+    jest.spyOn(User, 'findOne').mockReturnValue(mockQuery(users.customer));
+    jest.spyOn(StoreMember, 'create');
+
+    const res = await request(app)
+      .post(`/api/stores/${stores.B._id}/members`)
+      .set('Authorization', `Bearer ${world.tokenFor(users.ownerB)}`)
+      .send({ phone: users.customer.phone, role: 'staff' });
+
+    expect(res.status).toBe(409);
+    expect(StoreMember.create).not.toHaveBeenCalled();
+  });
+});
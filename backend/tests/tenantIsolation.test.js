@@ -0,0 +1,199 @@
+const request = require('supertest');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+const { id, createUser, createWorld, mockModels, mockQuery, createApp } = require('./helpers');
+
+const app = createApp();
+const world = createWorld();
+const { users, stores, A, B } = world;
+// Another customer of the platform, with no orders at either store
+users.otherCustomer = createUser('customer');
+
+const memberOf = (store, user) => world.memberships.find(member =>
+  String(member.store) === String(store._id) && String(member.user) === String(user._id));
+
+beforeEach(() => {
+  mockModels(world);
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const as = (user) => ({ Authorization: `Bearer ${world.tokenFor(user)}` });
+
+const send = (method, path, user, body) => {
+  const req = request(app)[method](path).set(as(user));
+  return body ? req.send(body) : req;
+};
+
+describe('owner of store A acting on store B', () => {
+  it.each([
+    ['put', `/api/stores/${stores.B._id}`, { name: 'Taken over' }],
+    ['post', `/api/stores/${stores.B._id}/upload-image`, { type: 'logo', imageData: 'data:image/png;base64,AA==' }],
+    ['get', `/api/stores/${stores.B._id}/verification`, null],
+    ['post', `/api/stores/${stores.B._id}/verification/documents`, { documentType: 'pan_card', documentData: 'data:image/png;base64,AA==' }],
+    ['delete', `/api/stores/${stores.B._id}/verification/documents/${id()}`, null],
+    ['post', `/api/stores/${stores.B._id}/verification/submit`, null],
+    ['get', `/api/stores/${stores.B._id}/members`, null],
+    ['post', `/api/stores/${stores.B._id}/members`, { phone: '9876543210', role: 'manager' }],
+    ['patch', `/api/stores/${stores.B._id}/members/${memberOf(stores.B, users.packerB)._id}`, { role: 'manager' }],
+    ['delete', `/api/stores/${stores.B._id}/members/${memberOf(stores.B, users.packerB)._id}`, null],
+    ['get', `/api/stores/${stores.B._id}/analytics`, null],
+    ['put', `/api/products/${B.product._id}`, { name: 'Renamed' }],
+    ['delete', `/api/products/${B.product._id}`, null],
+    ['post', `/api/products/${B.product._id}/upload-image`, { imageData: 'data:image/png;base64,AA==' }],
+    ['patch', `/api/products/${B.product._id}/stock`, { quantity: 5, operation: 'set' }],
+    ['get', `/api/orders/${B.order._id}`, null],
+    ['patch', `/api/orders/${B.order._id}/status`, { status: 'confirmed' }],
+    ['get', `/api/orders/${B.order._id}/invoice`, null],
+    ['post', `/api/orders/${B.order._id}/invoice/link`, null],
+    ['get', `/api/payments/orders/${B.order._id}`, null],
+    ['post', '/api/refunds', { orderId: String(B.order._id), reason: 'Damaged' }],
+    ['patch', `/api/refunds/${B.refund._id}/review`, { decision: 'approved' }],
+    ['put', `/api/coupons/${B.coupon._id}`, { description: 'Half off' }]
+  ])('is denied %s %s', async (method, path, body) => {
+    const res = await send(method, path, users.ownerA, body);
+
+    expect(res.status).toBe(403);
+  });
+
+  it.each([
+    ['get', '/api/orders/store/orders'],
+    ['get', '/api/refunds/store'],
+    ['get', '/api/coupons/store'],
+    ['post', '/api/products']
+  ])('cannot select store B for %s %s', async (method, path) => {
+    const res = await request(app)[method](path)
+      .set(as(users.ownerA))
+      .set('X-Store-Id', String(stores.B._id))
+      .send({});
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('owner of store A acting on store A', () => {
+  it('lists the store coupons', async () => {
+    jest.spyOn(Coupon, 'find').mockImplementation(filter => mockQuery(
+      [A.coupon, B.coupon].filter(coupon => String(coupon.store) === String(filter.store))
+    ));
+
+    const res = await request(app)
+      .get('/api/coupons/store')
+      .set(as(users.ownerA))
+      .set('X-Store-Id', String(stores.A._id));
+
+    expect(res.status).toBe(200);
+    expect(res.body.coupons.map(coupon => coupon._id)).toEqual([String(A.coupon._id)]);
+  });
+
+  it('updates a store coupon', async () => {
+    jest.spyOn(Coupon.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    const res = await send('put', `/api/coupons/${A.coupon._id}`, users.ownerA, { description: 'Half off' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.coupon.description).toBe('Half off');
+  });
+
+  it.each([
+    ['patch', { role: 'manager' }],
+    ['delete', null]
+  ])('cannot %s a member of store B through store A', async (method, body) => {
+    const res = await send(method, `/api/stores/${stores.A._id}/members/${memberOf(stores.B, users.packerB)._id}`, users.ownerA, body);
+
+    expect(res.status).toBe(404);
+  });
+
+  it.each([
+    [{ 'verification.status': 'approved' }],
+    [{ $set: { isVerified: true } }],
+    [{ owner: String(users.ownerB._id) }]
+  ])('cannot approve or hand over its store with %j', async (body) => {
+    const res = await send('put', `/api/stores/${stores.A._id}`, users.ownerA, body);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('cannot move a product to store B', async () => {
+    const res = await send('put', `/api/products/${A.product._id}`, users.ownerA, { store: String(stores.B._id) });
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('packer of store B', () => {
+  it('cannot cancel an order of the store', async () => {
+    const res = await send('patch', `/api/orders/${B.order._id}/status`, users.packerB, { status: 'cancelled' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/cannot mark orders cancelled/);
+  });
+
+
+  it('cannot read orders of store A', async () => {
+    const res = await send('get', `/api/orders/${A.order._id}`, users.packerB);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('staff of store B', () => {
+  it('may edit product listings', async () => {
+    jest.spyOn(Product, 'findByIdAndUpdate').mockResolvedValue(B.product);
+
+    const res = await send('put', `/api/products/${B.product._id}`, users.staffB, { name: 'Renamed' });
+
+    expect(res.status).toBe(200);
+  });
+
+  it('cannot change product pricing, even through a dotted path', async () => {
+    jest.spyOn(Product, 'findByIdAndUpdate');
+
+    const res = await send('put', `/api/products/${B.product._id}`, users.staffB, { 'pricing.sellingPrice': 1 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toMatch(/cannot change pricing/);
+    expect(Product.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('another customer', () => {
+  it.each([
+    ['get', `/api/orders/${B.order._id}`, null],
+    ['patch', `/api/orders/${B.order._id}/cancel`, null],
+    ['post', `/api/orders/${B.order._id}/rating`, { rating: 1, review: 'Never arrived' }],
+    ['get', `/api/orders/${B.order._id}/invoice`, null],
+    ['post', `/api/orders/${B.order._id}/invoice/link`, null],
+    ['get', `/api/payments/orders/${B.order._id}`, null],
+    ['post', '/api/refunds', { orderId: String(B.order._id), reason: 'Damaged' }]
+  ])('is denied %s %s on the order', async (method, path, body) => {
+    const res = await send(method, path, users.otherCustomer, body);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('customers and delivery partners', () => {
+  it('cannot change an order status as a customer', async () => {
+    const res = await send('patch', `/api/orders/${B.order._id}/status`, users.customer, { status: 'confirmed' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('cannot review refunds as a customer', async () => {
+    const res = await send('patch', `/api/refunds/${B.refund._id}/review`, users.customer, { decision: 'approved' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('cannot cancel an order as a delivery partner', async () => {
+    const res = await send('patch', `/api/orders/${B.order._id}/cancel`, users.partner);
+
+    expect(res.status).toBe(403);
+  });
+});
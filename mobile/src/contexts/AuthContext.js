@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { authAPI } from '../services/api';
+import { authAPI, setOnSessionExpired } from '../services/api';
+import { connectSocket, disconnectSocket } from '../services/socket';
+import { registerForPushNotifications, unregisterPushNotifications } from '../services/pushNotifications';
 
 const AuthContext = createContext();
 
@@ -46,8 +48,26 @@ export const AuthProvider = ({ children }) => {
 
   useEffect(() => {
     checkAuthState();
+    // The API client signs out when a session can no longer be refreshed
+    setOnSessionExpired(() => dispatch({ type: 'LOGOUT' }));
+    return () => setOnSessionExpired(null);
   }, []);
 
+  // Keep the real-time order channel open while signed in
+  useEffect(() => {
+    if (state.token) {
+      connectSocket(state.token);
+    }
+    return () => disconnectSocket();
+  }, [state.token]);
+
+  // Register this device for push notifications once signed in
+  useEffect(() => {
+    if (state.isAuthenticated) {
+      registerForPushNotifications();
+    }
+  }, [state.isAuthenticated]);
+
   const checkAuthState = async () => {
     try {
       const token = await AsyncStorage.getItem('authToken');
@@ -73,10 +93,11 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: 'SET_LOADING', payload: true });
       
       const response = await authAPI.verifyOTP(phone, otp);
-      const { token, user } = response.data;
+      const { token, refreshToken, user } = response.data;
       
       // Store auth data
       await AsyncStorage.setItem('authToken', token);
+      await AsyncStorage.setItem('refreshToken', refreshToken);
       await AsyncStorage.setItem('userData', JSON.stringify(user));
       
       dispatch({
@@ -108,13 +129,14 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      await unregisterPushNotifications();
       // Call logout API
       await authAPI.logout();
     } catch (error) {
       console.error('Logout API error:', error);
     } finally {
       // Clear local storage
-      await AsyncStorage.multiRemove(['authToken', 'userData', 'cartData']);
+      await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'userData', 'cartData', 'selectedStoreId']);
       dispatch({ type: 'LOGOUT' });
     }
   };
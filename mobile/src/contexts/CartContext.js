@@ -1,6 +1,6 @@
 import React, { createContext, useContext, useReducer, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { cartAPI } from '../services/api';
+import { cartAPI, ordersAPI } from '../services/api';
 
 const CartContext = createContext();
 
@@ -8,6 +8,8 @@ const initialState = {
   items: [],
   totalItems: 0,
   totalAmount: 0,
+  priceChanges: [],
+  coupon: null,
   isLoading: false,
 };
 
@@ -44,9 +46,14 @@ const cartReducer = (state, action) => {
         totalItems: action.payload.totalItems,
         totalAmount: action.payload.totalAmount,
       };
+    case 'SET_COUPON':
+      return { ...state, coupon: action.payload, isLoading: false };
+    case 'SET_PRICE_CHANGES':
+      return { ...state, priceChanges: action.payload, isLoading: false };
     case 'CLEAR_CART':
       return {
         ...state,
+        coupon: null,
         items: [],
         totalItems: 0,
         totalAmount: 0,
@@ -237,6 +244,109 @@ export const CartProvider = ({ children }) => {
     }
   };
 
+  const checkout = async (orderData) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+
+      const response = await ordersAPI.createOrder(orderData);
+
+      // Skipped and failed items stay in the cart, so reload it from the server
+      await loadCart();
+      dispatch({ type: 'SET_PRICE_CHANGES', payload: [] });
+      if (response.data.coupon) {
+        dispatch({ type: 'SET_COUPON', payload: null });
+      }
+
+      return {
+        success: true,
+        orders: response.data.orders || [],
+        skipped: response.data.skipped || [],
+        failed: response.data.failed || [],
+        unserviceable: response.data.unserviceable || [],
+      };
+    } catch (error) {
+      console.error('Checkout error:', error);
+      const priceChanges = error.response?.data?.priceChanges || [];
+      dispatch({ type: 'SET_PRICE_CHANGES', payload: priceChanges });
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to place order',
+        priceChanges,
+        skipped: error.response?.data?.skipped || [],
+        failed: error.response?.data?.failed || [],
+        unserviceable: error.response?.data?.unserviceable || [],
+      };
+    }
+  };
+
+  const acceptPriceChanges = async () => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+
+      const response = await cartAPI.repriceCart(
+        state.priceChanges.map(change => ({
+          productId: change.product,
+          price: change.newPrice,
+        }))
+      );
+
+      const cart = response.data.cart;
+      const cartData = {
+        items: cart.items || [],
+        totalItems: cart.totalItems || 0,
+        totalAmount: cart.totalAmount || 0,
+      };
+
+      dispatch({ type: 'UPDATE_ITEM', payload: cartData });
+      dispatch({ type: 'SET_PRICE_CHANGES', payload: response.data.priceChanges || [] });
+
+      await saveCartLocally(cartData);
+      return { success: true };
+    } catch (error) {
+      console.error('Accept price changes error:', error);
+      // Prices moved again; show the latest differences
+      dispatch({
+        type: 'SET_PRICE_CHANGES',
+        payload: error.response?.data?.priceChanges || state.priceChanges,
+      });
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to update prices'
+      };
+    }
+  };
+
+  const applyCoupon = async (code) => {
+    try {
+      dispatch({ type: 'SET_LOADING', payload: true });
+
+      const response = await cartAPI.applyCoupon(code);
+      dispatch({ type: 'SET_COUPON', payload: response.data.coupon });
+      return { success: true, coupon: response.data.coupon };
+    } catch (error) {
+      console.error('Apply coupon error:', error);
+      dispatch({ type: 'SET_LOADING', payload: false });
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to apply coupon'
+      };
+    }
+  };
+
+  const removeCoupon = async () => {
+    try {
+      await cartAPI.removeCoupon();
+      dispatch({ type: 'SET_COUPON', payload: null });
+      return { success: true };
+    } catch (error) {
+      console.error('Remove coupon error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to remove coupon'
+      };
+    }
+  };
+
   const getCartSummary = () => {
     return {
       totalItems: state.totalItems,
@@ -251,6 +361,10 @@ export const CartProvider = ({ children }) => {
     updateCartItem,
     removeFromCart,
     clearCart,
+    checkout,
+    acceptPriceChanges,
+    applyCoupon,
+    removeCoupon,
     getCartSummary,
     loadCart,
   };
@@ -1,20 +1,517 @@
-import React from 'react';
-import { View, Text, StyleSheet, SafeAreaView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  TextInput,
+  SafeAreaView,
+  ActivityIndicator,
+} from 'react-native';
+import * as Location from 'expo-location';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useCart } from '../../contexts/CartContext';
+import { cartAPI, storesAPI } from '../../services/api';
+import { spacing, typography, borderRadius, shadows } from '../../theme/theme';
 
-const CheckoutScreen = () => {
+const SKIP_REASONS = {
+  store_inactive: 'Store is not accepting orders',
+  product_inactive: 'Product is no longer available',
+  insufficient_stock: 'Not enough stock',
+  price_changed: 'Price has changed',
+  product_unavailable_for_mode: 'Not available for this delivery type',
+};
+
+const CheckoutScreen = ({ navigation }) => {
   const { theme } = useTheme();
+  const {
+    items,
+    totalItems,
+    totalAmount,
+    priceChanges,
+    coupon,
+    isLoading,
+    checkout,
+    acceptPriceChanges,
+    applyCoupon,
+    removeCoupon,
+    removeFromCart,
+  } = useCart();
+
+  const [deliveryType, setDeliveryType] = useState('pickup');
+  const [couponCode, setCouponCode] = useState('');
+  const [skipped, setSkipped] = useState([]);
+  const [failed, setFailed] = useState([]);
+  const [unserviceable, setUnserviceable] = useState([]);
+  const [address, setAddress] = useState({ street: '', city: '', state: '', pincode: '' });
+  const [location, setLocation] = useState(null);
+  const [isLocating, setIsLocating] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [slotOptions, setSlotOptions] = useState([]);
+  const [selectedSlots, setSelectedSlots] = useState({});
+
+  const storeIds = [...new Set(items.map(item => item.product?.store).filter(Boolean))];
+
+  // Stores that offer scheduled slots; orders are ASAP unless a slot is picked
+  useEffect(() => {
+    loadSlots();
+  }, [storeIds.join(',')]);
+
+  const loadSlots = async () => {
+    try {
+      const results = await Promise.all(storeIds.map(storeId => storesAPI.getSlots(storeId)));
+      setSlotOptions(results
+        .map(result => result.data)
+        .filter(data => data.enabled && data.slots.length > 0));
+    } catch (slotError) {
+      console.error('Load slots error:', slotError);
+      setSlotOptions([]);
+    }
+  };
+
+  const toggleSlot = (storeId, start) => {
+    const next = { ...selectedSlots };
+    if (next[storeId] === start) {
+      delete next[storeId];
+    } else {
+      next[storeId] = start;
+    }
+    setSelectedSlots(next);
+  };
+
+  const formatSlotTime = (value) => new Date(value).toLocaleTimeString([], {
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+  // Price delivery as soon as we know where it goes
+  useEffect(() => {
+    if (deliveryType !== 'delivery' || !location) {
+      setQuote(null);
+      return;
+    }
+    loadQuote();
+  }, [deliveryType, location, totalAmount]);
+
+  const loadQuote = async () => {
+    try {
+      const result = await cartAPI.getDeliveryQuote('delivery', location);
+      if (result.success) {
+        setQuote(result.data);
+      }
+    } catch (quoteError) {
+      console.error('Delivery quote error:', quoteError);
+      setQuote(null);
+    }
+  };
+
+  const deliveryFee = quote ? quote.totalDeliveryFee : 0;
+  const [placedOrders, setPlacedOrders] = useState([]);
+  const [error, setError] = useState(null);
+
+  const handleUseCurrentLocation = async () => {
+    try {
+      setIsLocating(true);
+      const { status } = await Location.requestForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        setError('Location permission is needed for delivery');
+        return;
+      }
+      const position = await Location.getCurrentPositionAsync({});
+      setLocation({
+        latitude: position.coords.latitude,
+        longitude: position.coords.longitude,
+      });
+      setError(null);
+    } catch (locationError) {
+      console.error('Get location error:', locationError);
+      setError('Could not get your location');
+    } finally {
+      setIsLocating(false);
+    }
+  };
+
+  const handlePlaceOrder = async () => {
+    setError(null);
+
+    if (deliveryType === 'delivery' && !location) {
+      setError('Set your delivery location first');
+      return;
+    }
+
+    const orderData = { deliveryType };
+    if (deliveryType === 'delivery') {
+      orderData.deliveryAddress = { ...address, coordinates: location };
+    }
+    if (Object.keys(selectedSlots).length > 0) {
+      orderData.slots = selectedSlots;
+    }
+
+    const result = await checkout(orderData);
+
+    setSkipped(result.skipped);
+    setFailed(result.failed);
+    setUnserviceable(result.unserviceable);
+
+    if (result.success) {
+      setPlacedOrders(result.orders);
+      if (result.skipped.length === 0 && result.failed.length === 0 && result.unserviceable.length === 0) {
+        navigation.navigate('Orders');
+      }
+    } else {
+      setError(result.error);
+    }
+  };
+
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) return;
+
+    const result = await applyCoupon(couponCode.trim());
+    setError(result.success ? null : result.error);
+  };
+
+  const handleRemoveCoupon = async () => {
+    await removeCoupon();
+    setCouponCode('');
+  };
+
+  const handleAcceptPrices = async () => {
+    const result = await acceptPriceChanges();
+    setError(result.success ? null : result.error);
+  };
+
+  const handleRemoveSkipped = async (productId) => {
+    const result = await removeFromCart(productId);
+    if (result.success) {
+      setSkipped(skipped.filter(item => item.product !== productId));
+    }
+  };
+
+  const renderSkippedItem = (item) => (
+    <View
+      key={`${item.product}-${item.reason}`}
+      style={[styles.itemCard, { backgroundColor: theme.colors.surface }, shadows.sm]}
+    >
+      <View style={styles.itemInfo}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+          {item.name || 'Unavailable product'}
+        </Text>
+        <Text style={[styles.itemReason, { color: theme.colors.error }]}>
+          {SKIP_REASONS[item.reason] || item.reason}
+          {item.reason === 'insufficient_stock' && ` (${item.available} left)`}
+        </Text>
+      </View>
+      {item.product && (
+        <TouchableOpacity onPress={() => handleRemoveSkipped(item.product)}>
+          <Text style={[styles.removeText, { color: theme.colors.primary }]}>
+            Remove
+          </Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderPriceChange = (change) => (
+    <View
+      key={change.product}
+      style={[styles.itemCard, { backgroundColor: theme.colors.surface }, shadows.sm]}
+    >
+      <View style={styles.itemInfo}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]} numberOfLines={1}>
+          {change.name}
+        </Text>
+        <Text style={[styles.itemReason, { color: theme.colors.textSecondary }]}>
+          ₹{change.oldPrice} → ₹{change.newPrice}
+        </Text>
+      </View>
+    </View>
+  );
+
+  const renderFailedStore = (group) => (
+    <View
+      key={group.store}
+      style={[styles.itemCard, { backgroundColor: theme.colors.surface }, shadows.sm]}
+    >
+      <View style={styles.itemInfo}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]}>
+          {group.storeName}
+        </Text>
+        {group.conflicts.map(conflict => (
+          <Text
+            key={conflict.product}
+            style={[styles.itemReason, { color: theme.colors.error }]}
+          >
+            {conflict.name}: {conflict.available} of {conflict.requested} available
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
+
+  const renderUnserviceableStore = (group) => (
+    <View
+      key={group.store}
+      style={[styles.itemCard, { backgroundColor: theme.colors.surface }, shadows.sm]}
+    >
+      <View style={styles.itemInfo}>
+        <Text style={[styles.itemName, { color: theme.colors.text }]}>
+          {group.storeName}
+        </Text>
+        {group.reasons.map(reason => (
+          <Text
+            key={reason.code}
+            style={[styles.itemReason, { color: theme.colors.error }]}
+          >
+            {reason.message}
+            {reason.code === 'out_of_range' && ` (${reason.distance} km, delivers within ${reason.deliveryRadius} km)`}
+            {reason.code === 'below_minimum_order' && ` (add ₹${reason.shortfall} more)`}
+            {reason.code === 'store_closed' && reason.opensAt && ` (opens ${new Date(reason.opensAt).toLocaleString()})`}
+          </Text>
+        ))}
+      </View>
+    </View>
+  );
 
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <View style={styles.content}>
-        <Text style={[styles.title, { color: theme.colors.text }]}>
-          Checkout Screen
+      <ScrollView contentContainerStyle={styles.content}>
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+          Delivery Type
         </Text>
-        <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
-          This screen will handle COD payment and order placement
+        <View style={styles.optionRow}>
+          {['pickup', 'delivery'].map(type => (
+            <TouchableOpacity
+              key={type}
+              style={[
+                styles.option,
+                { borderColor: theme.colors.primary },
+                deliveryType === type && { backgroundColor: theme.colors.primary },
+              ]}
+              onPress={() => setDeliveryType(type)}
+            >
+              <Text
+                style={[
+                  styles.optionText,
+                  { color: deliveryType === type ? theme.colors.white : theme.colors.primary },
+                ]}
+              >
+                {type === 'pickup' ? 'Store Pickup' : 'Home Delivery'}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        {deliveryType === 'delivery' && (
+          <View style={styles.addressSection}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              Delivery Address
+            </Text>
+            {[
+              { key: 'street', placeholder: 'House, street, area' },
+              { key: 'city', placeholder: 'City' },
+              { key: 'state', placeholder: 'State' },
+              { key: 'pincode', placeholder: 'Pincode', keyboardType: 'number-pad' },
+            ].map(field => (
+              <TextInput
+                key={field.key}
+                style={[styles.input, { borderColor: theme.colors.border, color: theme.colors.text }]}
+                placeholder={field.placeholder}
+                placeholderTextColor={theme.colors.textLight}
+                keyboardType={field.keyboardType || 'default'}
+                value={address[field.key]}
+                onChangeText={value => setAddress({ ...address, [field.key]: value })}
+              />
+            ))}
+            <TouchableOpacity
+              style={[styles.secondaryButton, { borderColor: theme.colors.primary }]}
+              onPress={handleUseCurrentLocation}
+              disabled={isLocating}
+            >
+              {isLocating ? (
+                <ActivityIndicator color={theme.colors.primary} />
+              ) : (
+                <Text style={[styles.secondaryButtonText, { color: theme.colors.primary }]}>
+                  {location ? 'Location set ✓ Update' : 'Use Current Location'}
+                </Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {slotOptions.map(option => (
+          <View key={option.store} style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              {deliveryType === 'pickup' ? 'Pickup' : 'Delivery'} slot · {option.storeName}
+            </Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {option.slots.map(slot => {
+                const isSelected = selectedSlots[option.store] === slot.start;
+                return (
+                  <TouchableOpacity
+                    key={slot.start}
+                    style={[
+                      styles.slotChip,
+                      { borderColor: theme.colors.primary },
+                      isSelected && { backgroundColor: theme.colors.primary },
+                      !slot.available && { opacity: 0.4 },
+                    ]}
+                    onPress={() => toggleSlot(option.store, slot.start)}
+                    disabled={!slot.available}
+                  >
+                    <Text style={[styles.slotText, { color: isSelected ? theme.colors.white : theme.colors.primary }]}>
+                      {formatSlotTime(slot.start)} – {formatSlotTime(slot.end)}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+            <Text style={[styles.itemReason, { color: theme.colors.textSecondary }]}>
+              {selectedSlots[option.store] ? 'Scheduled' : 'As soon as possible'}
+            </Text>
+          </View>
+        ))}
+
+        <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+          Coupon
         </Text>
-      </View>
+        {coupon ? (
+          <View style={[styles.itemCard, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+            <View style={styles.itemInfo}>
+              <Text style={[styles.itemName, { color: theme.colors.text }]}>
+                {coupon.code}
+              </Text>
+              <Text style={[styles.itemReason, { color: theme.colors.success }]}>
+                You save ₹{coupon.discount}
+              </Text>
+            </View>
+            <TouchableOpacity onPress={handleRemoveCoupon}>
+              <Text style={[styles.removeText, { color: theme.colors.primary }]}>
+                Remove
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.couponRow}>
+            <TextInput
+              style={[styles.couponInput, { borderColor: theme.colors.border, color: theme.colors.text }]}
+              placeholder="Enter coupon code"
+              placeholderTextColor={theme.colors.textLight}
+              autoCapitalize="characters"
+              value={couponCode}
+              onChangeText={setCouponCode}
+            />
+            <TouchableOpacity onPress={handleApplyCoupon} disabled={isLoading}>
+              <Text style={[styles.removeText, { color: theme.colors.primary }]}>
+                Apply
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {quote && (
+          <View style={[styles.feeCard, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+            {quote.stores.map(storeQuote => (
+              <View key={storeQuote.store} style={styles.feeRow}>
+                <Text style={[styles.summaryText, { color: theme.colors.textSecondary }]} numberOfLines={1}>
+                  Delivery from {storeQuote.storeName}
+                  {storeQuote.distance !== null && ` (${storeQuote.distance} km)`}
+                </Text>
+                <Text
+                  style={[
+                    styles.summaryText,
+                    { color: storeQuote.serviceable ? theme.colors.text : theme.colors.error },
+                  ]}
+                >
+                  {!storeQuote.serviceable
+                    ? 'Unavailable'
+                    : storeQuote.feeBreakdown?.freeDeliveryApplied
+                      ? 'FREE'
+                      : `₹${storeQuote.deliveryFee}`}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <View style={[styles.summary, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+          <Text style={[styles.summaryText, { color: theme.colors.textSecondary }]}>
+            {totalItems} items • Cash on Delivery
+          </Text>
+          <Text style={[styles.summaryTotal, { color: theme.colors.text }]}>
+            ₹{totalAmount - (coupon?.discount || 0) + deliveryFee}
+          </Text>
+        </View>
+
+        {error && (
+          <Text style={[styles.errorText, { color: theme.colors.error }]}>{error}</Text>
+        )}
+
+        {placedOrders.length > 0 && (
+          <Text style={[styles.successText, { color: theme.colors.success }]}>
+            {placedOrders.length} order(s) placed: {placedOrders.map(order => order.orderNumber).join(', ')}
+          </Text>
+        )}
+
+        {priceChanges.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              Prices have changed
+            </Text>
+            {priceChanges.map(renderPriceChange)}
+            <TouchableOpacity
+              style={[styles.secondaryButton, { borderColor: theme.colors.primary }]}
+              onPress={handleAcceptPrices}
+              disabled={isLoading}
+            >
+              <Text style={[styles.secondaryButtonText, { color: theme.colors.primary }]}>
+                Accept New Prices
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {skipped.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              Items not ordered
+            </Text>
+            {skipped.map(renderSkippedItem)}
+          </View>
+        )}
+
+        {failed.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              Stores that could not reserve stock
+            </Text>
+            {failed.map(renderFailedStore)}
+          </View>
+        )}
+
+        {unserviceable.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>
+              Stores that cannot fulfil this order
+            </Text>
+            {unserviceable.map(renderUnserviceableStore)}
+          </View>
+        )}
+
+        <TouchableOpacity
+          style={[styles.placeOrderButton, { backgroundColor: theme.colors.primary }]}
+          onPress={handlePlaceOrder}
+          disabled={isLoading || totalItems === 0 || priceChanges.length > 0}
+        >
+          {isLoading ? (
+            <ActivityIndicator color={theme.colors.white} />
+          ) : (
+            <Text style={[styles.placeOrderText, { color: theme.colors.white }]}>
+              Place Order
+            </Text>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
     </SafeAreaView>
   );
 };
@@ -24,32 +521,139 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   content: {
+    padding: spacing.lg,
+  },
+  section: {
+    marginTop: spacing.lg,
+  },
+  sectionTitle: {
+    ...typography.h6,
+    marginBottom: spacing.md,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    gap: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  option: {
     flex: 1,
-    justifyContent: 'center',
+    paddingVertical: spacing.md,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
     alignItems: 'center',
-    padding: 20,
   },
-  title: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    marginBottom: 10,
+  optionText: {
+    ...typography.button,
+  },
+  slotChip: {
+    paddingVertical: spacing.sm,
+    paddingHorizontal: spacing.md,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    marginRight: spacing.sm,
+    marginBottom: spacing.sm,
   },
-  subtitle: {
-    fontSize: 16,
-    textAlign: 'center',
+  slotText: {
+    ...typography.body2,
+  },
+  addressSection: {
+    marginBottom: spacing.lg,
+  },
+  input: {
+    ...typography.body1,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+    marginBottom: spacing.sm,
+  },
+  couponRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: spacing.md,
+    marginBottom: spacing.lg,
+  },
+  couponInput: {
+    flex: 1,
+    ...typography.body1,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  },
+  feeCard: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+  },
+  feeRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+  },
+  summary: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+  },
+  summaryText: {
+    ...typography.body2,
+  },
+  summaryTotal: {
+    ...typography.h5,
+  },
+  errorText: {
+    ...typography.body2,
+    marginTop: spacing.md,
+  },
+  successText: {
+    ...typography.body2,
+    marginTop: spacing.md,
+  },
+  itemCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.sm,
+  },
+  itemInfo: {
+    flex: 1,
+    marginRight: spacing.md,
+  },
+  itemName: {
+    ...typography.body1,
+    fontWeight: '600',
+  },
+  itemReason: {
+    ...typography.caption,
+    marginTop: spacing.xs,
+  },
+  removeText: {
+    ...typography.body2,
+    fontWeight: '600',
+  },
+  secondaryButton: {
+    marginTop: spacing.sm,
+    paddingVertical: spacing.md,
+    borderWidth: 1,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  secondaryButtonText: {
+    ...typography.button,
+  },
+  placeOrderButton: {
+    marginTop: spacing.xl,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  placeOrderText: {
+    ...typography.button,
   },
 });
 
 export default CheckoutScreen;
-
-
-
-
-
-
-
-
-
-
-
-
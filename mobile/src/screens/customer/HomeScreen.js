@@ -116,6 +116,15 @@ const HomeScreen = ({ navigation }) => {
             ⭐ {store.rating?.average?.toFixed(1) || 'New'} • {store.distance?.toFixed(1)}km
           </Text>
         </View>
+        {store.isOpen === false && (
+          <Text style={[styles.ratingText, { color: theme.colors.error }]}>
+            Closed{store.opensAt && ` · Opens ${new Date(store.opensAt).toLocaleString([], {
+              weekday: 'short',
+              hour: '2-digit',
+              minute: '2-digit',
+            })}`}
+          </Text>
+        )}
       </View>
     </TouchableOpacity>
   );
@@ -1,20 +1,212 @@
-import React from 'react';
-import { View, Text, StyleSheet, SafeAreaView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  SafeAreaView,
+  ActivityIndicator,
+  Share,
+} from 'react-native';
 import { useTheme } from '../../contexts/ThemeContext';
+import { ordersAPI } from '../../services/api';
+import { onOrderEvent } from '../../services/socket';
+import { spacing, typography, borderRadius, shadows } from '../../theme/theme';
 
-const OrderDetailsScreen = () => {
+const INVOICE_STATUSES = ['delivered', 'refunded'];
+
+// Statuses in which the customer holds a handover code
+const HANDOVER_STATUSES = ['ready', 'out_for_delivery'];
+
+const OrderDetailsScreen = ({ route }) => {
   const { theme } = useTheme();
+  const { orderId } = route.params || {};
+
+  const [order, setOrder] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSharing, setIsSharing] = useState(false);
+
+  useEffect(() => {
+    loadOrder();
+  }, [orderId]);
+
+  // Apply live status changes and timeline entries for this order
+  useEffect(() => {
+    const unsubscribeStatus = onOrderEvent('order:status', ({ order: updated, entry }) => {
+      if (updated.id !== orderId) {
+        return;
+      }
+      // The handover code is never pushed over the socket, fetch it from the API
+      if (HANDOVER_STATUSES.includes(updated.status)) {
+        loadOrder();
+        return;
+      }
+      setOrder(current => current && {
+        ...current,
+        status: updated.status,
+        timeline: entry ? [...current.timeline, entry] : current.timeline,
+      });
+    });
+    const unsubscribeTimeline = onOrderEvent('order:timeline', ({ orderId: updatedId, entry }) => {
+      if (updatedId !== orderId) {
+        return;
+      }
+      setOrder(current => current && {
+        ...current,
+        timeline: [...current.timeline, entry],
+      });
+    });
+
+    return () => {
+      unsubscribeStatus();
+      unsubscribeTimeline();
+    };
+  }, [orderId]);
+
+  const loadOrder = async () => {
+    try {
+      setIsLoading(true);
+      const result = await ordersAPI.getOrderDetails(orderId);
+      if (result.success) {
+        setOrder(result.data.order);
+      }
+    } catch (error) {
+      console.error('Load order error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleShareInvoice = async () => {
+    try {
+      setIsSharing(true);
+      const result = await ordersAPI.getInvoiceLink(orderId);
+      await Share.share({
+        title: `Invoice for order ${order.orderNumber}`,
+        message: `Invoice for MyLocalMart order ${order.orderNumber}: ${result.data.url}`,
+        url: result.data.url,
+      });
+    } catch (error) {
+      console.error('Share invoice error:', error);
+    } finally {
+      setIsSharing(false);
+    }
+  };
+
+  if (isLoading || !order) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered, { backgroundColor: theme.colors.background }]}>
+        {isLoading ? (
+          <ActivityIndicator color={theme.colors.primary} />
+        ) : (
+          <Text style={[styles.label, { color: theme.colors.textSecondary }]}>
+            Order not found
+          </Text>
+        )}
+      </SafeAreaView>
+    );
+  }
 
   return (
     <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <View style={styles.content}>
+      <ScrollView contentContainerStyle={styles.content}>
         <Text style={[styles.title, { color: theme.colors.text }]}>
-          Order Details Screen
+          Order {order.orderNumber}
         </Text>
-        <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
-          This screen will show detailed order information and tracking
+        <Text style={[styles.status, { color: theme.colors.primary }]}>
+          {order.status.replace(/_/g, ' ')}
         </Text>
-      </View>
+
+        {HANDOVER_STATUSES.includes(order.status) && !!order.delivery?.otp && (
+          <View style={[styles.card, styles.handoverCard, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+            <Text style={[styles.label, styles.handoverLabel, { color: theme.colors.textSecondary }]}>
+              {order.delivery.type === 'pickup'
+                ? 'Show this code at the store to collect your order'
+                : 'Share this code with the delivery partner on arrival'}
+            </Text>
+            <Text style={[styles.handoverCode, { color: theme.colors.primary }]}>
+              {order.delivery.otp}
+            </Text>
+          </View>
+        )}
+
+        <View style={[styles.card, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+          {order.items.map(item => (
+            <View key={item._id} style={styles.row}>
+              <Text style={[styles.label, { color: theme.colors.text }]} numberOfLines={1}>
+                {item.quantity} × {item.productSnapshot?.name}
+              </Text>
+              <Text style={[styles.value, { color: theme.colors.text }]}>₹{item.total}</Text>
+            </View>
+          ))}
+        </View>
+
+        <View style={[styles.card, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+          <View style={styles.row}>
+            <Text style={[styles.label, { color: theme.colors.textSecondary }]}>Subtotal</Text>
+            <Text style={[styles.value, { color: theme.colors.text }]}>₹{order.pricing.subtotal}</Text>
+          </View>
+          {order.pricing.discount > 0 && (
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: theme.colors.textSecondary }]}>Discount</Text>
+              <Text style={[styles.value, { color: theme.colors.success }]}>-₹{order.pricing.discount}</Text>
+            </View>
+          )}
+          {order.pricing.deliveryFee > 0 && (
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: theme.colors.textSecondary }]}>Delivery Fee</Text>
+              <Text style={[styles.value, { color: theme.colors.text }]}>₹{order.pricing.deliveryFee}</Text>
+            </View>
+          )}
+          {order.pricing.tax > 0 && (
+            <View style={styles.row}>
+              <Text style={[styles.label, { color: theme.colors.textSecondary }]}>GST</Text>
+              <Text style={[styles.value, { color: theme.colors.text }]}>₹{order.pricing.tax}</Text>
+            </View>
+          )}
+          <View style={styles.row}>
+            <Text style={[styles.totalLabel, { color: theme.colors.text }]}>Total</Text>
+            <Text style={[styles.totalLabel, { color: theme.colors.text }]}>₹{order.pricing.total}</Text>
+          </View>
+        </View>
+
+        <View style={[styles.card, { backgroundColor: theme.colors.surface }, shadows.sm]}>
+          {order.timeline.map((entry, index) => (
+            <View key={`${entry.status}-${index}`} style={styles.timelineEntry}>
+              <View style={styles.row}>
+                <Text style={[styles.timelineStatus, { color: theme.colors.text }]}>
+                  {entry.status.replace(/_/g, ' ')}
+                </Text>
+                <Text style={[styles.timelineTime, { color: theme.colors.textLight }]}>
+                  {new Date(entry.timestamp).toLocaleString()}
+                </Text>
+              </View>
+              {!!entry.note && (
+                <Text style={[styles.label, { color: theme.colors.textSecondary }]}>
+                  {entry.note}
+                </Text>
+              )}
+            </View>
+          ))}
+        </View>
+
+        {INVOICE_STATUSES.includes(order.status) && (
+          <TouchableOpacity
+            style={[styles.button, { backgroundColor: theme.colors.primary }]}
+            onPress={handleShareInvoice}
+            disabled={isSharing}
+          >
+            {isSharing ? (
+              <ActivityIndicator color={theme.colors.white} />
+            ) : (
+              <Text style={[styles.buttonText, { color: theme.colors.white }]}>
+                Share Invoice
+              </Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </ScrollView>
     </SafeAreaView>
   );
 };
@@ -23,33 +215,77 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
-  content: {
-    flex: 1,
+  centered: {
     justifyContent: 'center',
     alignItems: 'center',
-    padding: 20,
+  },
+  content: {
+    padding: spacing.lg,
   },
   title: {
-    fontSize: 24,
-    fontWeight: 'bold',
-    marginBottom: 10,
+    ...typography.h5,
+  },
+  status: {
+    ...typography.body2,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+    marginBottom: spacing.lg,
+  },
+  card: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
   },
-  subtitle: {
-    fontSize: 16,
+  handoverCard: {
+    alignItems: 'center',
+  },
+  handoverLabel: {
+    flex: 0,
+    marginRight: 0,
     textAlign: 'center',
   },
+  handoverCode: {
+    ...typography.h2,
+    letterSpacing: 8,
+    marginTop: spacing.sm,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: spacing.xs,
+  },
+  label: {
+    ...typography.body2,
+    flex: 1,
+    marginRight: spacing.md,
+  },
+  value: {
+    ...typography.body2,
+  },
+  totalLabel: {
+    ...typography.body1,
+    fontWeight: 'bold',
+  },
+  timelineEntry: {
+    paddingVertical: spacing.xs,
+  },
+  timelineStatus: {
+    ...typography.body2,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  timelineTime: {
+    ...typography.caption,
+  },
+  button: {
+    marginTop: spacing.lg,
+    paddingVertical: spacing.md,
+    borderRadius: borderRadius.md,
+    alignItems: 'center',
+  },
+  buttonText: {
+    ...typography.button,
+  },
 });
 
 export default OrderDetailsScreen;
-
-
-
-
-
-
-
-
-
-
-
-
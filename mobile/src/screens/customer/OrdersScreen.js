@@ -1,20 +1,109 @@
-import React from 'react';
-import { View, Text, StyleSheet, SafeAreaView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  SafeAreaView,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
 import { useTheme } from '../../contexts/ThemeContext';
+import { ordersAPI } from '../../services/api';
+import { onOrderEvent } from '../../services/socket';
+import { spacing, typography, borderRadius, shadows } from '../../theme/theme';
 
-const OrdersScreen = () => {
+const OrdersScreen = ({ navigation }) => {
   const { theme } = useTheme();
 
-  return (
-    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <View style={styles.content}>
-        <Text style={[styles.title, { color: theme.colors.text }]}>
-          Orders Screen
+  const [orders, setOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadOrders();
+  }, []);
+
+  // Live status updates for the customer's orders
+  useEffect(() => {
+    return onOrderEvent('order:status', ({ order: updated }) => {
+      setOrders(current => current.map(order => (
+        order._id === updated.id ? { ...order, status: updated.status } : order
+      )));
+    });
+  }, []);
+
+  const loadOrders = async () => {
+    try {
+      const result = await ordersAPI.getMyOrders();
+      if (result.success) {
+        setOrders(result.data.orders);
+      }
+    } catch (error) {
+      console.error('Load orders error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadOrders();
+    setRefreshing(false);
+  };
+
+  const renderOrder = ({ item: order }) => (
+    <TouchableOpacity
+      style={[styles.card, { backgroundColor: theme.colors.surface }, shadows.sm]}
+      onPress={() => navigation.navigate('OrderDetails', { orderId: order._id })}
+    >
+      <View style={styles.row}>
+        <Text style={[styles.orderNumber, { color: theme.colors.text }]}>
+          {order.orderNumber}
+        </Text>
+        <Text style={[styles.total, { color: theme.colors.text }]}>
+          ₹{order.pricing.total}
+        </Text>
+      </View>
+      <Text style={[styles.storeName, { color: theme.colors.textSecondary }]}>
+        {order.store?.name}
+      </Text>
+      <View style={styles.row}>
+        <Text style={[styles.status, { color: theme.colors.primary }]}>
+          {order.status.replace(/_/g, ' ')}
         </Text>
-        <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
-          This screen will show order history and tracking
+        <Text style={[styles.date, { color: theme.colors.textLight }]}>
+          {new Date(order.createdAt).toLocaleDateString()}
         </Text>
       </View>
+    </TouchableOpacity>
+  );
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator color={theme.colors.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={orders}
+        keyExtractor={order => order._id}
+        renderItem={renderOrder}
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={
+          <Text style={[styles.empty, { color: theme.colors.textSecondary }]}>
+            You have not placed any orders yet
+          </Text>
+        }
+      />
     </SafeAreaView>
   );
 };
@@ -23,33 +112,47 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
-  content: {
-    flex: 1,
+  centered: {
     justifyContent: 'center',
     alignItems: 'center',
-    padding: 20,
   },
-  title: {
-    fontSize: 24,
+  content: {
+    padding: spacing.md,
+  },
+  card: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  orderNumber: {
+    ...typography.h6,
+  },
+  total: {
+    ...typography.body1,
     fontWeight: 'bold',
-    marginBottom: 10,
   },
-  subtitle: {
-    fontSize: 16,
+  storeName: {
+    ...typography.body2,
+    marginVertical: spacing.xs,
+  },
+  status: {
+    ...typography.body2,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  date: {
+    ...typography.caption,
+  },
+  empty: {
+    ...typography.body1,
     textAlign: 'center',
+    marginTop: spacing.xl,
   },
 });
 
 export default OrdersScreen;
-
-
-
-
-
-
-
-
-
-
-
-
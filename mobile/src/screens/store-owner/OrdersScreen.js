@@ -1,20 +1,136 @@
-import React from 'react';
-import { View, Text, StyleSheet, SafeAreaView } from 'react-native';
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  SafeAreaView,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
 import { useTheme } from '../../contexts/ThemeContext';
+import { ordersAPI } from '../../services/api';
+import { onOrderEvent } from '../../services/socket';
+import { spacing, typography, borderRadius, shadows } from '../../theme/theme';
 
 const StoreOrdersScreen = () => {
   const { theme } = useTheme();
 
-  return (
-    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
-      <View style={styles.content}>
-        <Text style={[styles.title, { color: theme.colors.text }]}>
-          Store Orders
-        </Text>
-        <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
-          Manage incoming orders from customers
+  const [orders, setOrders] = useState([]);
+  const [newOrderIds, setNewOrderIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadOrders();
+  }, []);
+
+  // New orders are fetched in full so customer details are populated
+  useEffect(() => {
+    const unsubscribeNew = onOrderEvent('order:new', ({ order }) => {
+      setNewOrderIds(current => [...current, order.id]);
+      loadOrders();
+    });
+    const unsubscribeStatus = onOrderEvent('order:status', ({ order: updated }) => {
+      setOrders(current => current.map(order => (
+        order._id === updated.id ? { ...order, status: updated.status } : order
+      )));
+    });
+
+    return () => {
+      unsubscribeNew();
+      unsubscribeStatus();
+    };
+  }, []);
+
+  const loadOrders = async () => {
+    try {
+      const result = await ordersAPI.getStoreOrders();
+      if (result.success) {
+        setOrders(result.data.orders);
+      }
+    } catch (error) {
+      console.error('Load store orders error:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    setNewOrderIds([]);
+    await loadOrders();
+    setRefreshing(false);
+  };
+
+  const renderOrder = ({ item: order }) => {
+    const isNew = newOrderIds.includes(order._id);
+    const profile = order.customer?.profile || {};
+    const customerName = `${profile.firstName || ''} ${profile.lastName || ''}`.trim()
+      || order.customer?.phone;
+
+    return (
+      <View
+        style={[
+          styles.card,
+          { backgroundColor: theme.colors.surface },
+          isNew && { borderColor: theme.colors.primary, borderWidth: 2 },
+          shadows.sm,
+        ]}
+      >
+        <View style={styles.row}>
+          <Text style={[styles.orderNumber, { color: theme.colors.text }]}>
+            {order.storeOrderNumber || order.orderNumber}
+          </Text>
+          <Text style={[styles.total, { color: theme.colors.text }]}>
+            ₹{order.pricing.total}
+          </Text>
+        </View>
+        <Text style={[styles.customer, { color: theme.colors.textSecondary }]}>
+          {customerName}
+          {' · '}
+          {order.items.length} item{order.items.length === 1 ? '' : 's'}
+          {' · '}
+          {order.delivery?.type}
         </Text>
+        <View style={styles.row}>
+          <Text style={[styles.status, { color: theme.colors.primary }]}>
+            {order.status.replace(/_/g, ' ')}
+          </Text>
+          {isNew && (
+            <Text style={[styles.badge, { color: theme.colors.white, backgroundColor: theme.colors.primary }]}>
+              NEW
+            </Text>
+          )}
+        </View>
       </View>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={[styles.container, styles.centered, { backgroundColor: theme.colors.background }]}>
+        <ActivityIndicator color={theme.colors.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      <FlatList
+        data={orders}
+        keyExtractor={order => order._id}
+        renderItem={renderOrder}
+        contentContainerStyle={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+        ListEmptyComponent={
+          <Text style={[styles.empty, { color: theme.colors.textSecondary }]}>
+            No orders yet
+          </Text>
+        }
+      />
     </SafeAreaView>
   );
 };
@@ -23,32 +139,51 @@ const styles = StyleSheet.create({
   container: {
     flex: 1,
   },
-  content: {
-    flex: 1,
+  centered: {
     justifyContent: 'center',
     alignItems: 'center',
-    padding: 20,
   },
-  title: {
-    fontSize: 24,
+  content: {
+    padding: spacing.md,
+  },
+  card: {
+    padding: spacing.md,
+    borderRadius: borderRadius.md,
+    marginBottom: spacing.md,
+  },
+  row: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  orderNumber: {
+    ...typography.h6,
+  },
+  total: {
+    ...typography.body1,
     fontWeight: 'bold',
-    marginBottom: 10,
   },
-  subtitle: {
-    fontSize: 16,
+  customer: {
+    ...typography.body2,
+    marginVertical: spacing.xs,
+  },
+  status: {
+    ...typography.body2,
+    fontWeight: '600',
+    textTransform: 'capitalize',
+  },
+  badge: {
+    ...typography.caption,
+    fontWeight: 'bold',
+    paddingHorizontal: spacing.sm,
+    borderRadius: borderRadius.sm,
+    overflow: 'hidden',
+  },
+  empty: {
+    ...typography.body1,
     textAlign: 'center',
+    marginTop: spacing.xl,
   },
 });
 
 export default StoreOrdersScreen;
-
-
-
-
-
-
-
-
-
-
-
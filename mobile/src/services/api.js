@@ -1,4 +1,6 @@
 import axios from 'axios';
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 
 const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000/api';
@@ -16,10 +18,17 @@ const api = axios.create({
 api.interceptors.request.use(
   async (config) => {
     try {
-      const token = await AsyncStorage.getItem('authToken');
+      const [token, storeId] = await Promise.all([
+        AsyncStorage.getItem('authToken'),
+        AsyncStorage.getItem('selectedStoreId'),
+      ]);
       if (token) {
         config.headers.Authorization = `Bearer ${token}`;
       }
+      // Store-side requests act on the store picked in the app
+      if (storeId) {
+        config.headers['X-Store-Id'] = storeId;
+      }
     } catch (error) {
       console.error('Token retrieval error:', error);
     }
@@ -30,16 +39,61 @@ api.interceptors.request.use(
   }
 );
 
-// Response interceptor for error handling
+// Called when the session cannot be refreshed any more (set by AuthContext)
+let onSessionExpired = null;
+export const setOnSessionExpired = (handler) => {
+  onSessionExpired = handler;
+};
+
+// Requests that fail with 401 share one refresh; refresh tokens work only once
+let refreshPromise = null;
+
+const refreshTokens = async () => {
+  const refreshToken = await AsyncStorage.getItem('refreshToken');
+  if (!refreshToken) {
+    throw new Error('No refresh token');
+  }
+
+  // Plain axios so a failing refresh is not intercepted again
+  const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { timeout: 10000 });
+  await AsyncStorage.multiSet([
+    ['authToken', response.data.token],
+    ['refreshToken', response.data.refreshToken],
+  ]);
+  return response.data.token;
+};
+
+const NO_REFRESH_URLS = ['/auth/send-otp', '/auth/verify-otp', '/auth/refresh'];
+
+// Response interceptor: renew an expired access token once and retry
 api.interceptors.response.use(
   (response) => response,
   async (error) => {
-    if (error.response?.status === 401) {
-      // Token expired or invalid
-      await AsyncStorage.multiRemove(['authToken', 'userData']);
-      // You might want to redirect to login screen here
+    const request = error.config;
+
+    if (error.response?.status !== 401 || !request || request._retried || NO_REFRESH_URLS.includes(request.url)) {
+      return Promise.reject(error);
+    }
+
+    try {
+      if (!refreshPromise) {
+        refreshPromise = refreshTokens().finally(() => {
+          refreshPromise = null;
+        });
+      }
+      const token = await refreshPromise;
+
+      request._retried = true;
+      request.headers.Authorization = `Bearer ${token}`;
+      return api(request);
+    } catch (refreshError) {
+      // Session ended or revoked; sign out
+      await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'userData', 'selectedStoreId']);
+      if (onSessionExpired) {
+        onSessionExpired();
+      }
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -51,7 +105,12 @@ export const authAPI = {
   },
 
   verifyOTP: async (phone, otp) => {
-    const response = await api.post('/auth/verify-otp', { phone, otp });
+    const device = {
+      name: Constants.deviceName,
+      platform: Platform.OS,
+      appVersion: Constants.expoConfig?.version,
+    };
+    const response = await api.post('/auth/verify-otp', { phone, otp, device });
     return response;
   },
 
@@ -71,21 +130,50 @@ export const authAPI = {
   },
 
   refreshToken: async () => {
-    const response = await api.post('/auth/refresh');
-    return response;
+    const token = await refreshTokens();
+    return { success: true, data: { token } };
+  },
+
+  getSessions: async () => {
+    const response = await api.get('/auth/sessions');
+    return { success: true, data: response.data };
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await api.delete(`/auth/sessions/${sessionId}`);
+    return { success: true, data: response.data };
+  },
+
+  revokeOtherSessions: async () => {
+    const response = await api.delete('/auth/sessions');
+    return { success: true, data: response.data };
   },
 };
 
 // Stores API
 export const storesAPI = {
-  getNearbyStores: async (latitude, longitude, radius = 10, category) => {
-    const params = { latitude, longitude, radius };
+  // filters: { openNow, delivery, minRating, sort, limit, cursor }
+  getNearbyStores: async (latitude, longitude, radius = 10, category, filters = {}) => {
+    const params = { latitude, longitude, radius, ...filters };
     if (category) params.category = category;
     
     const response = await api.get('/stores/nearby', { params });
     return { success: true, data: response.data };
   },
 
+  // Stores inside a map region, e.g. from react-native-maps onRegionChangeComplete
+  getStoresInRegion: async (region, filters = {}) => {
+    const bbox = [
+      region.longitude - region.longitudeDelta / 2,
+      region.latitude - region.latitudeDelta / 2,
+      region.longitude + region.longitudeDelta / 2,
+      region.latitude + region.latitudeDelta / 2,
+    ].join(',');
+
+    const response = await api.get('/stores/nearby', { params: { bbox, ...filters } });
+    return { success: true, data: response.data };
+  },
+
   searchStores: async (query, category, city) => {
     const params = {};
     if (query) params.q = query;
@@ -96,6 +184,35 @@ export const storesAPI = {
     return { success: true, data: response.data };
   },
 
+  getMyStores: async () => {
+    const response = await api.get('/stores/mine');
+    return { success: true, data: response.data };
+  },
+
+  selectStore: async (storeId) => {
+    await AsyncStorage.setItem('selectedStoreId', storeId);
+  },
+
+  getMembers: async (storeId) => {
+    const response = await api.get(`/stores/${storeId}/members`);
+    return { success: true, data: response.data };
+  },
+
+  addMember: async (storeId, phone, role) => {
+    const response = await api.post(`/stores/${storeId}/members`, { phone, role });
+    return { success: true, data: response.data };
+  },
+
+  updateMemberRole: async (storeId, memberId, role) => {
+    const response = await api.patch(`/stores/${storeId}/members/${memberId}`, { role });
+    return { success: true, data: response.data };
+  },
+
+  removeMember: async (storeId, memberId) => {
+    const response = await api.delete(`/stores/${storeId}/members/${memberId}`);
+    return { success: true, data: response.data };
+  },
+
   getStoreDetails: async (storeId) => {
     const response = await api.get(`/stores/${storeId}`);
     return { success: true, data: response.data };
@@ -123,6 +240,40 @@ export const storesAPI = {
     const response = await api.get(`/stores/${storeId}/analytics`);
     return { success: true, data: response.data };
   },
+
+  // params: { deliveryType, latitude, longitude, items: [{ productId, quantity }] }
+  checkServiceability: async (storeId, params) => {
+    const response = await api.post(`/stores/${storeId}/serviceability`, params);
+    return { success: true, data: response.data };
+  },
+
+  getSlots: async (storeId, date) => {
+    const response = await api.get(`/stores/${storeId}/slots`, { params: date ? { date } : {} });
+    return { success: true, data: response.data };
+  },
+
+  getVerification: async (storeId) => {
+    const response = await api.get(`/stores/${storeId}/verification`);
+    return { success: true, data: response.data };
+  },
+
+  uploadVerificationDocument: async (storeId, documentData, documentType) => {
+    const response = await api.post(`/stores/${storeId}/verification/documents`, {
+      documentData,
+      documentType,
+    });
+    return { success: true, data: response.data };
+  },
+
+  removeVerificationDocument: async (storeId, documentId) => {
+    const response = await api.delete(`/stores/${storeId}/verification/documents/${documentId}`);
+    return { success: true, data: response.data };
+  },
+
+  submitVerification: async (storeId, note) => {
+    const response = await api.post(`/stores/${storeId}/verification/submit`, { note });
+    return { success: true, data: response.data };
+  },
 };
 
 // Products API
@@ -132,8 +283,9 @@ export const productsAPI = {
     return { success: true, data: response.data };
   },
 
-  searchProducts: async (query, store, category, limit = 20) => {
-    const params = { q: query, limit };
+  // filters: { latitude, longitude, radius, brand, minPrice, maxPrice, deliveryType, inStock, sort, page }
+  searchProducts: async (query, store, category, limit = 20, filters = {}) => {
+    const params = { q: query, limit, ...filters };
     if (store) params.store = store;
     if (category) params.category = category;
     
@@ -209,6 +361,26 @@ export const cartAPI = {
     const response = await api.get('/cart/summary');
     return { success: true, data: response.data };
   },
+
+  repriceCart: async (items) => {
+    const response = await api.post('/cart/reprice', { items });
+    return { success: true, data: response.data };
+  },
+
+  applyCoupon: async (code) => {
+    const response = await api.post('/cart/apply-coupon', { code });
+    return { success: true, data: response.data };
+  },
+
+  removeCoupon: async () => {
+    const response = await api.delete('/cart/coupon');
+    return { success: true, data: response.data };
+  },
+
+  getDeliveryQuote: async (deliveryType, location = {}) => {
+    const response = await api.post('/cart/delivery-quote', { deliveryType, ...location });
+    return { success: true, data: response.data };
+  },
 };
 
 // Orders API
@@ -228,10 +400,12 @@ export const ordersAPI = {
     return { success: true, data: response.data };
   },
 
-  updateOrderStatus: async (orderId, status, note) => {
+  // otp: the customer's handover code, required when marking an order delivered
+  updateOrderStatus: async (orderId, status, note, otp) => {
     const response = await api.patch(`/orders/${orderId}/status`, {
       status,
       note,
+      otp,
     });
     return { success: true, data: response.data };
   },
@@ -253,6 +427,121 @@ export const ordersAPI = {
     const response = await api.get('/orders/store/orders', { params: filters });
     return { success: true, data: response.data };
   },
+
+  getInvoiceLink: async (orderId) => {
+    const response = await api.post(`/orders/${orderId}/invoice/link`);
+    return { success: true, data: response.data };
+  },
+};
+
+// Payments API
+export const paymentsAPI = {
+  createIntent: async (orderIds) => {
+    const response = await api.post('/payments/intent', { orderIds });
+    return { success: true, data: response.data };
+  },
+
+  getPaymentStatus: async (orderId) => {
+    const response = await api.get(`/payments/orders/${orderId}`);
+    return { success: true, data: response.data };
+  },
+};
+
+// Refunds API
+export const refundsAPI = {
+  requestRefund: async (orderId, reason, items) => {
+    const response = await api.post('/refunds', { orderId, reason, items });
+    return { success: true, data: response.data };
+  },
+
+  getMyRefunds: async () => {
+    const response = await api.get('/refunds/my-refunds');
+    return { success: true, data: response.data };
+  },
+
+  getStoreRefunds: async (status) => {
+    const params = {};
+    if (status) params.status = status;
+
+    const response = await api.get('/refunds/store', { params });
+    return { success: true, data: response.data };
+  },
+
+  reviewRefund: async (refundId, decision, note) => {
+    const response = await api.patch(`/refunds/${refundId}/review`, { decision, note });
+    return { success: true, data: response.data };
+  },
+};
+
+// Delivery partner API
+export const deliveryAPI = {
+  setAvailability: async (isAvailable, location = {}) => {
+    const response = await api.patch('/delivery/availability', { isAvailable, ...location });
+    return { success: true, data: response.data };
+  },
+
+  updateLocation: async (latitude, longitude) => {
+    const response = await api.patch('/delivery/location', { latitude, longitude });
+    return { success: true, data: response.data };
+  },
+
+  getAssignableOrders: async (params = {}) => {
+    const response = await api.get('/delivery/orders/assignable', { params });
+    return { success: true, data: response.data };
+  },
+
+  getMyDeliveries: async (filters = {}) => {
+    const response = await api.get('/delivery/orders', { params: filters });
+    return { success: true, data: response.data };
+  },
+
+  acceptOrder: async (orderId) => {
+    const response = await api.post(`/delivery/orders/${orderId}/accept`);
+    return { success: true, data: response.data };
+  },
+
+  rejectOrder: async (orderId, reason) => {
+    const response = await api.post(`/delivery/orders/${orderId}/reject`, { reason });
+    return { success: true, data: response.data };
+  },
+
+  markPickedUp: async (orderId, photoUrl) => {
+    const response = await api.post(`/delivery/orders/${orderId}/pickup`, { photoUrl });
+    return { success: true, data: response.data };
+  },
+
+  markDelivered: async (orderId, proof) => {
+    const response = await api.post(`/delivery/orders/${orderId}/deliver`, proof);
+    return { success: true, data: response.data };
+  },
+};
+
+// Notifications API
+export const notificationsAPI = {
+  registerPushToken: async (token, platform) => {
+    const response = await api.post('/notifications/push-tokens', { token, platform });
+    return { success: true, data: response.data };
+  },
+
+  removePushToken: async (token) => {
+    const response = await api.delete('/notifications/push-tokens', { data: { token } });
+    return { success: true, data: response.data };
+  },
+
+  updatePreferences: async (preferences) => {
+    const response = await api.put('/notifications/preferences', preferences);
+    return { success: true, data: response.data };
+  },
+
+  getNotifications: async (filters = {}) => {
+    const response = await api.get('/notifications', { params: filters });
+    return { success: true, data: response.data };
+  },
+
+  markAsRead: async (notificationId) => {
+    const response = await api.patch(`/notifications/${notificationId}/read`);
+    return { success: true, data: response.data };
+  },
 };
 
 // Categories API
@@ -0,0 +1,61 @@
+import { io } from 'socket.io-client';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const API_BASE_URL = process.env.EXPO_PUBLIC_API_URL || 'http://localhost:3000/api';
+
+// The WebSocket server lives on the same host as the REST API
+const SOCKET_URL = API_BASE_URL.replace(/\/api\/?$/, '');
+
+let socket = null;
+
+// Handlers are kept here so subscriptions survive reconnecting with a new token
+const listeners = new Set();
+
+export const connectSocket = (token) => {
+  if (socket) {
+    socket.disconnect();
+  }
+
+  // Access tokens are short-lived; reconnects pick up the latest refreshed one
+  socket = io(SOCKET_URL, {
+    auth: (callback) => {
+      AsyncStorage.getItem('authToken')
+        .then(latest => callback({ token: latest || token }))
+        .catch(() => callback({ token }));
+    },
+    transports: ['websocket'],
+  });
+
+  socket.on('connect_error', (error) => {
+    console.error('Socket connection error:', error.message);
+  });
+
+  listeners.forEach(({ event, handler }) => socket.on(event, handler));
+
+  return socket;
+};
+
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
+
+// Subscribe to an order event ('order:new', 'order:status', 'order:timeline').
+// Returns a function that removes the handler.
+export const onOrderEvent = (event, handler) => {
+  const listener = { event, handler };
+  listeners.add(listener);
+
+  if (socket) {
+    socket.on(event, handler);
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (socket) {
+      socket.off(event, handler);
+    }
+  };
+};